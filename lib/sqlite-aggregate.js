@@ -0,0 +1,382 @@
+/**
+ * Module to compile mongodb aggregation pipelines into sqlite queries.
+ * @module sqlite-aggregate
+ * @author Alexandru Mereacre <mereacre@gmail.com>
+ */
+"use strict";
+
+const _ = require("lodash");
+const builder = require("mongo-sql");
+const sqliteConstants = require("./sqlite-constants.js");
+const sqliteHelper = require("./sqlite-helper.js");
+const sqliteConverter = require("./sqlite-schema-converter.js");
+
+const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+const escapedTableName = sqliteConverter.escapeIdentifier(tableName);
+const idField = "_id";
+
+/**
+ * @global
+ * @typedef {object} AggregateQuery
+ * @property {string} query - The sqlite query with `?NNN` binding parameters.
+ * @property {any[]} values - The values to bind to the query.
+ * @property {Object<string, string>} columns - The output columns -> general sqlite types.
+ */
+
+/**
+ * Makes a binding parameter for a value.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @param {any} value - The value to bind.
+ * @returns {string} - The `?NNN` parameter.
+ */
+function makeParameter(values, value) {
+  values.push(value);
+  return `?${values.length}`;
+}
+
+/**
+ * Converts an aggregation expression into an sqlite expression.
+ * @param {any} expression - A field path (`"$field"`) or a literal value.
+ * @param {Object<string, string>} columns - The available columns -> general sqlite types.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {{sql: string, type: string}} - The sqlite expression and its general sqlite type.
+ */
+function makeExpression(expression, columns, values) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    const column = expression.slice(1);
+    if (!(column in columns)) {
+      throw Error(`[sqlite-aggregate]: unknown field path ${expression}.`);
+    }
+    return {sql: sqliteConverter.escapeIdentifier(column), type: columns[column]};
+  } else if (typeof expression === "number" || typeof expression === "boolean") {
+    return {sql: makeParameter(values, Number(expression)), type: sqliteConstants.SQLITE_TYPE_NUMERIC};
+  } else if (typeof expression === "string") {
+    return {sql: makeParameter(values, expression), type: sqliteConstants.SQLITE_TYPE_TEXT};
+  }
+  throw Error(`[sqlite-aggregate]: unsupported expression ${JSON.stringify(expression)}.`);
+}
+
+/**
+ * Converts a `$group` accumulator into an sqlite aggregate expression.
+ * @param {object} accumulator - The accumulator object, e.g. `{$sum: "$count"}`.
+ * @param {Object<string, string>} columns - The available columns -> general sqlite types.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @param {function(string, string): string} addWindowColumn - Adds a column with a window function,
+ *     e.g. `first_value`, of an expression over the ordered documents of each group, and returns its name.
+ * @returns {{sql: string, type: string}} - The sqlite expression and its general sqlite type.
+ */
+function makeAccumulator(accumulator, columns, values, addWindowColumn) {
+  const entries = Object.entries(accumulator || {});
+  if (entries.length !== 1) {
+    throw Error(`[sqlite-aggregate]: accumulator ${JSON.stringify(accumulator)} should have one key.`);
+  }
+  const [operator, argument] = entries[0];
+  const numeric = sqliteConstants.SQLITE_TYPE_NUMERIC;
+
+  if (operator === "$count") {
+    return {sql: "COUNT(*)", type: numeric};
+  }
+
+  const {sql, type} = makeExpression(argument, columns, values);
+  switch (operator) {
+    case "$sum":
+      // mongodb sums to 0 when there are no numeric values
+      return {sql: `COALESCE(SUM(${sql}), 0)`, type: numeric};
+    case "$avg":
+      return {sql: `AVG(${sql})`, type: numeric};
+    case "$min":
+      return {sql: `MIN(${sql})`, type};
+    case "$max":
+      return {sql: `MAX(${sql})`, type};
+    case "$first":
+    case "$last": {
+      // The window column has the same value for all the documents of a group
+      const windowFunction = (operator === "$first") ? "first_value" : "last_value";
+      return {sql: `MIN(${addWindowColumn(windowFunction, sql)})`, type};
+    }
+  }
+  throw Error(`[sqlite-aggregate]: unsupported accumulator ${operator}.`);
+}
+
+/**
+ * Compiles the `$group` stage.
+ * @param {object} group - The `$group` stage object.
+ * @param {object} current - The current query state.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {{sql: string, columns: Object<string, string>}} - The grouped query.
+ */
+function makeGroup(group, current, values) {
+  if (!Object.prototype.hasOwnProperty.call(group, idField)) {
+    throw Error("[sqlite-aggregate]: $group requires an _id field.");
+  }
+
+  const columns = {};
+  const selected = [];
+  const groupBy = [];
+
+  const id = group[idField];
+  if (id === null) {
+    selected.push("NULL AS \"_id\"");
+    columns[idField] = sqliteConstants.SQLITE_TYPE_NUMERIC;
+  } else if (_.isPlainObject(id)) {
+    // A compound _id is returned as a JSON object
+    const pairs = _.map(id, (expression, key) => {
+      const {sql} = makeExpression(expression, current.columns, values);
+      groupBy.push(sql);
+      return `${makeParameter(values, key)}, ${sql}`;
+    });
+    selected.push(`json_object(${pairs.join(", ")}) AS "_id"`);
+    columns[idField] = sqliteConstants.SQLITE_GENERAL_TYPE_OBJECT;
+  } else {
+    const {sql, type} = makeExpression(id, current.columns, values);
+    groupBy.push(sql);
+    selected.push(`${sql} AS "_id"`);
+    columns[idField] = type;
+  }
+
+  // The window spans the whole group, in the order of the previous $sort
+  const windowColumns = [];
+  const windowClauses = [];
+  if (groupBy.length) {
+    windowClauses.push(`PARTITION BY ${groupBy.join(", ")}`);
+  }
+  if (current.sort) {
+    windowClauses.push(makeOrderBy(current.sort, current).trim());
+  }
+  windowClauses.push("ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING");
+  const addWindowColumn = (windowFunction, sql) => {
+    const name = sqliteConverter.escapeIdentifier(`__window${windowColumns.length}`);
+    windowColumns.push(`${windowFunction}(${sql}) OVER (${windowClauses.join(" ")}) AS ${name}`);
+    return name;
+  };
+
+  _.forEach(_.omit(group, idField), (accumulator, key) => {
+    const {sql, type} = makeAccumulator(accumulator, current.columns, values, addWindowColumn);
+    selected.push(`${sql} AS ${sqliteConverter.escapeIdentifier(key)}`);
+    columns[key] = type;
+  });
+
+  let from = `(${current.sql}) AS ${escapedTableName}`;
+  if (windowColumns.length) {
+    from = `(SELECT *, ${windowColumns.join(", ")} FROM ${from}) AS ${escapedTableName}`;
+  }
+
+  // A constant GROUP BY makes a single group, which the HAVING clause needs.
+  // mongodb returns no groups for no documents.
+  const groupByClause = groupBy.length ? groupBy.join(", ") : "NULL";
+  const sql = `SELECT ${selected.join(", ")} FROM ${from} GROUP BY ${groupByClause} HAVING COUNT(*) > 0`;
+
+  return {columns, sql};
+}
+
+/**
+ * Compiles the `$project` stage.
+ *
+ * The order of the previous `$sort` is kept if the projection keeps its fields.
+ * @param {object} projection - The `$project` stage object.
+ * @param {object} current - The current query state.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {{sql: string, columns: Object<string, string>, sort: object}} - The projected query.
+ */
+function makeProject(projection, current, values) {
+  const isInclusion = _.some(projection, Boolean);
+
+  const columns = {};
+  const selected = [];
+  // The fields that are passed through unchanged
+  const kept = [];
+  if (isInclusion) {
+    // _id is included unless it is explicitly excluded
+    if (idField in current.columns && _.get(projection, idField, true)) {
+      columns[idField] = current.columns[idField];
+      selected.push(sqliteConverter.escapeIdentifier(idField));
+      kept.push(idField);
+    }
+    _.forEach(projection, (value, key) => {
+      if (typeof value === "string") {
+        const {sql, type} = makeExpression(value, current.columns, values);
+        selected.push(`${sql} AS ${sqliteConverter.escapeIdentifier(key)}`);
+        columns[key] = type;
+      } else if (value) {
+        // Missing fields are left out, like in mongodb
+        if (key in current.columns && !(key in columns)) {
+          selected.push(sqliteConverter.escapeIdentifier(key));
+          columns[key] = current.columns[key];
+          kept.push(key);
+        }
+      } else if (key !== idField) {
+        throw Error(`[sqlite-aggregate]: cannot exclude ${key} in an inclusion projection.`);
+      }
+    });
+  } else {
+    _.forEach(current.columns, (type, key) => {
+      if (!_.has(projection, key)) {
+        selected.push(sqliteConverter.escapeIdentifier(key));
+        columns[key] = type;
+        kept.push(key);
+      }
+    });
+  }
+
+  if (!selected.length) {
+    throw Error(`[sqlite-aggregate]: $project ${JSON.stringify(projection)} doesn't output any fields.`);
+  }
+
+  const keepsSort = current.sort && Object.keys(current.sort).every((key) => kept.includes(key));
+  return {
+    columns,
+    sort: keepsSort ? current.sort : undefined,
+    sql: `SELECT ${selected.join(", ")} FROM (${current.sql}) AS ${escapedTableName}`,
+  };
+}
+
+/**
+ * Compiles the `$match` stage.
+ * @param {object} filter - The `$match` stage mongodb filter.
+ * @param {object} current - The current query state.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {string} - The filtered query.
+ */
+function makeMatch(filter, current, values) {
+  for (const key of sqliteConverter.getFilterKeys(filter)) {
+    if (!(key in current.columns)) {
+      throw Error(`[sqlite-aggregate]: unknown $match field ${key}.`);
+    }
+  }
+  const selectQuery = {
+    table: tableName,
+    type: "select",
+    where: sqliteConverter.convertFilterToSqlite(current.columns, filter),
+  };
+  const sqliteTranslation = builder.sql(selectQuery, values);
+  const query = sqliteHelper.toNumberedParameters(sqliteTranslation.query);
+
+  let sql = `SELECT * FROM (${current.sql}) AS ${escapedTableName}`;
+  const clauseIdx = query.indexOf(" where ");
+  if (clauseIdx >= 0) {
+    sql += query.slice(clauseIdx);
+  }
+  return sql;
+}
+
+/**
+ * Compiles a `$sort` stage into an sqlite ORDER BY clause.
+ * @param {{string: number}} sort - The `$sort` stage object.
+ * @param {object} current - The current query state.
+ * @returns {string} - The ORDER BY clause.
+ */
+function makeOrderBy(sort, current) {
+  const orderBy = _.map(sort, (value, key) => {
+    if (!(key in current.columns)) {
+      throw Error(`[sqlite-aggregate]: unknown $sort field ${key}.`);
+    }
+    const sortType = (value === -1) ? sqliteConstants.SQLITE_SORT_TYPE_DESC : sqliteConstants.SQLITE_SORT_TYPE_ASC;
+    return `${sqliteConverter.escapeIdentifier(key)} ${sortType}`;
+  });
+  return ` ORDER BY ${orderBy.join(", ")}`;
+}
+
+/**
+ * Compiles a mongodb aggregation pipeline into an sqlite query on the data table.
+ *
+ * Supports the `$match`, `$group`, `$sort`, `$skip`, `$limit` and `$project`
+ * stages. Each stage selects from the previous one as a subquery.
+ * `$group` supports the `$sum`, `$avg`, `$min`, `$max`, `$count`, `$first`
+ * and `$last` accumulators. `$first` and `$last` use the order of the last
+ * `$sort` before the `$group`, as SQLite doesn't keep the order of subqueries.
+ * Without a `$sort`, like in mongodb, the order of the documents is unspecified.
+ * @function
+ * @alias module:sqlite-aggregate.makeAggregateQuery
+ * @param {object} schema - The general schema of the dataset.
+ * @param {object[]} pipeline - The mongodb aggregation pipeline.
+ * @returns {AggregateQuery} - The sqlite query, values and output columns.
+ * @example
+ * // returns `{query: 'SELECT "_id" ... GROUP BY "lsoa" ...', values: [], columns: {_id: "TEXT", total: "NUMERIC"}}`
+ * makeAggregateQuery({lsoa: "TEXT", count: "NUMERIC"}, [{$group: {_id: "$lsoa", total: {$sum: "$count"}}}]);
+ */
+module.exports.makeAggregateQuery = function(schema, pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw Error("[sqlite-aggregate]: pipeline should be an array of stages.");
+  }
+
+  const values = [];
+  let current = {
+    columns: Object.assign({}, schema),
+    sql: `SELECT * FROM ${escapedTableName}`,
+  };
+
+  // The ORDER BY, LIMIT and OFFSET clauses of the last SELECT
+  // $sort, $skip and $limit can only be combined in this order
+  const clauseOrder = ["$sort", "$skip", "$limit"];
+  let clauses = {};
+  let lastClause = -1;
+
+  const addClauses = () => {
+    if (lastClause < 0) {
+      return;
+    }
+    if (clauses.orderBy) {
+      current.sql += clauses.orderBy;
+      current.sort = clauses.sort;
+    }
+    if (clauses.limit || clauses.offset) {
+      // SQLite only accepts an OFFSET after a LIMIT
+      current.sql += ` LIMIT ${clauses.limit || -1}`;
+    }
+    if (clauses.offset) {
+      current.sql += ` OFFSET ${clauses.offset}`;
+    }
+    clauses = {};
+    lastClause = -1;
+  };
+
+  for (const stage of pipeline) {
+    const entries = Object.entries(stage || {});
+    if (entries.length !== 1) {
+      throw Error(`[sqlite-aggregate]: stage ${JSON.stringify(stage)} should have one key.`);
+    }
+    const [operator, argument] = entries[0];
+
+    const clauseIdx = clauseOrder.indexOf(operator);
+    if (clauseIdx < 0 || clauseIdx <= lastClause) {
+      addClauses();
+    }
+    if (clauseIdx >= 0 && lastClause < 0) {
+      current.sql = `SELECT * FROM (${current.sql}) AS ${escapedTableName}`;
+    }
+
+    switch (operator) {
+      case "$match":
+        current.sql = makeMatch(argument, current, values);
+        break;
+      case "$group":
+        current = makeGroup(argument, current, values);
+        break;
+      case "$project":
+        current = makeProject(argument, current, values);
+        break;
+      case "$sort":
+        clauses.orderBy = makeOrderBy(argument, current);
+        clauses.sort = argument;
+        break;
+      case "$skip":
+        clauses.offset = makeParameter(values, argument);
+        break;
+      case "$limit":
+        clauses.limit = makeParameter(values, argument);
+        break;
+      default:
+        throw Error(`[sqlite-aggregate]: unsupported stage ${operator}.`);
+    }
+    if (clauseIdx >= 0) {
+      lastClause = clauseIdx;
+    }
+  }
+  addClauses();
+
+  return {
+    columns: current.columns,
+    query: current.sql,
+    values,
+  };
+};
@@ -19,10 +19,14 @@ exports.DATABASE_DATA_TABLE_NAME = "data";
 exports.DATABASE_TABLE_INDEX_NAME = "dataindex";
 exports.DATABASE_FOLDER_SUFFIX = ".d";
 exports.DATABASE_DATA_SUFFIX = ".dat";
+// Suffix of the ndarray files until their rows are committed
+exports.DATABASE_DATA_TMP_SUFFIX = ".tmp";
 exports.DATABASE_DATA_TMP_NAME = "nqm-iot-database-utils";
 
 // Binary data types
 exports.DATABASE_PATH_TYPE_FILE = "f";
+exports.DATABASE_PATH_TYPE_ZIP = "z";
+exports.DATABASE_PATH_TYPE_BASE64 = "b";
 
 // Valid TDX schema types
 exports.TDX_TYPE_NAME = "__tdxType";
@@ -34,6 +38,12 @@ exports.TDX_TYPE_REAL = "/*REAL|FLOA|DOUB";
 exports.TDX_TYPE_DATE = "date";
 exports.TDX_TYPE_NDARRAY = "ndarray";
 
+// Flag of required properties in a TDX schema
+exports.TDX_REQUIRED_NAME = "__tdxRequired";
+
+// Placeholder in TDX filters for the identity of the current user
+exports.TDX_IDENTITY_PLACEHOLDER = "@@_identity_@@";
+
 // Valid sqlite schema types
 exports.SQLITE_TYPE_NUMERIC = "NUMERIC";
 exports.SQLITE_TYPE_INTEGER = "INTEGER";
@@ -44,11 +54,19 @@ exports.SQLITE_TYPE_TEXT = "TEXT";
 exports.SQLITE_GENERAL_TYPE_OBJECT = "OBJECT";
 exports.SQLITE_GENERAL_TYPE_ARRAY = "ARRAY";
 exports.SQLITE_GENERAL_TYPE_NDARRAY = "NDARRAY";
+exports.SQLITE_GENERAL_TYPE_DATE = "DATE";
+exports.SQLITE_GENERAL_TYPE_BOOLEAN = "BOOLEAN";
+
+// Formats of the dates read from the database
+exports.DATE_FORMAT_DATE = "date";
+exports.DATE_FORMAT_ISO = "iso";
+exports.DATE_FORMAT_EPOCH = "epoch";
 
 exports.SQLITE_SORT_TYPE_ASC = "ASC";
 exports.SQLITE_SORT_TYPE_DESC = "DESC";
 
 exports.SQLITE_NULL_VALUE = "null";
+exports.SQLITE_ROWID_NAME = "rowid";
 
 // SQlite query parameters
 exports.SQLITE_QUERY_LIMIT = 1000;
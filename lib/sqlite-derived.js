@@ -0,0 +1,277 @@
+/**
+ * Module to apply the filters and projections of derived datasets.
+ * @module sqlite-derived
+ * @author Alexandru Mereacre <mereacre@gmail.com>
+ */
+"use strict";
+
+const _ = require("lodash");
+const sqliteConstants = require("./sqlite-constants.js");
+const sqliteConverter = require("./sqlite-schema-converter.js");
+
+/**
+ * @global
+ * @typedef {object} DerivedDefinition
+ * @property {object} [filter] - The (read) mongodb filter.
+ * @property {object} [projection] - The (read) mongodb projection.
+ * @property {string} [source] - The id of the source dataset.
+ * @property {object} [writeFilter] - The mongodb filter that written rows must match.
+ * @property {object} [writeProjection] - The mongodb projection of the properties that can be written.
+ */
+
+/**
+ * Checks if a mongodb projection includes (rather than excludes) properties.
+ * @param {object} projection - The mongodb projection.
+ * @returns {boolean} - `true` for an inclusion projection.
+ */
+function isInclusion(projection) {
+  return _.some(projection, Boolean);
+}
+
+/**
+ * Checks a derived definition, throwing if it is invalid.
+ * @function
+ * @alias module:sqlite-derived.checkDerived
+ * @param {DerivedDefinition} derived - The derived definition.
+ */
+module.exports.checkDerived = function(derived) {
+  if (!_.isPlainObject(derived)) {
+    throw Error("[sqlite-derived]: derived should be an object.");
+  }
+  for (const key of ["filter", "writeFilter"]) {
+    if (derived[key] !== undefined && !_.isPlainObject(derived[key])) {
+      throw Error(`[sqlite-derived]: derived.${key} should be a mongodb filter object.`);
+    }
+  }
+  for (const key of ["projection", "writeProjection"]) {
+    const projection = derived[key];
+    if (projection === undefined) {
+      continue;
+    }
+    if (!_.isPlainObject(projection)) {
+      throw Error(`[sqlite-derived]: derived.${key} should be a mongodb projection object.`);
+    }
+    const included = _.filter(projection, Boolean).length;
+    if (included && included !== _.size(projection)) {
+      throw Error(`[sqlite-derived]: derived.${key} can't mix inclusion and exclusion.`);
+    }
+  }
+};
+
+/**
+ * Substitutes the `"@@_identity_@@"` placeholder in the strings of a filter.
+ * @function
+ * @alias module:sqlite-derived.substituteIdentity
+ * @param {any} filter - A mongodb filter object, or any of its values.
+ * @param {string} [identity] - The identity of the current user.
+ * @returns {any} - The filter with the placeholder substituted.
+ * @example
+ *   // returns {username: "bob@acme.com/tdx.acme.com"}
+ *   substituteIdentity({username: "@@_identity_@@"}, "bob@acme.com/tdx.acme.com");
+ */
+module.exports.substituteIdentity = function(filter, identity) {
+  const placeholder = sqliteConstants.TDX_IDENTITY_PLACEHOLDER;
+  if (typeof filter === "string") {
+    if (!filter.includes(placeholder)) {
+      return filter;
+    }
+    if (typeof identity !== "string" || identity === "") {
+      throw Error(`[sqlite-derived]: no identity to substitute for ${placeholder}.`);
+    }
+    return filter.split(placeholder).join(identity);
+  } else if (_.isArray(filter)) {
+    return filter.map((value) => module.exports.substituteIdentity(value, identity));
+  } else if (_.isPlainObject(filter)) {
+    return _.mapValues(filter, (value) => module.exports.substituteIdentity(value, identity));
+  }
+  return filter;
+};
+
+/**
+ * Combines a filter with the read filter of a derived dataset.
+ *
+ * The `"@@_identity_@@"` placeholder is substituted in both filters.
+ * @function
+ * @alias module:sqlite-derived.makeReadFilter
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {object} filter - A mongodb filter object.
+ * @param {string} [identity] - The identity of the current user.
+ * @returns {object} - The combined mongodb filter.
+ */
+module.exports.makeReadFilter = function(derived, filter, identity) {
+  if (!derived || _.isEmpty(derived.filter)) {
+    return module.exports.substituteIdentity(filter, identity);
+  }
+  return module.exports.substituteIdentity({$and: [derived.filter, filter]}, identity);
+};
+
+/**
+ * Combines a filter with the read filter and the write filter of a derived dataset.
+ *
+ * Updates and deletes only reach the rows that can be both read and written.
+ * The `"@@_identity_@@"` placeholder is substituted in all the filters.
+ * @function
+ * @alias module:sqlite-derived.makeWriteFilter
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {object} filter - A mongodb filter object.
+ * @param {string} [identity] - The identity of the current user.
+ * @returns {object} - The combined mongodb filter.
+ */
+module.exports.makeWriteFilter = function(derived, filter, identity) {
+  const filters = [derived && derived.filter, derived && derived.writeFilter, filter].filter((value) => {
+    return !_.isEmpty(value);
+  });
+  if (filters.length <= 1) {
+    return module.exports.substituteIdentity(filters[0] || {}, identity);
+  }
+  return module.exports.substituteIdentity({$and: filters}, identity);
+};
+
+/**
+ * Applies a mongodb projection to a data row.
+ *
+ * Supports property paths, e.g. `{"address.postcode": 1}`.
+ * @function
+ * @alias module:sqlite-derived.projectRow
+ * @param {object} [projection] - The mongodb projection. If empty, the row is returned as is.
+ * @param {DataRow} row - The data row.
+ * @returns {DataRow} - The projected data row.
+ */
+module.exports.projectRow = function(projection, row) {
+  if (_.isEmpty(projection)) {
+    return row;
+  }
+  const keys = Object.keys(projection);
+  return isInclusion(projection) ? _.pick(row, keys) : _.omit(row, keys);
+};
+
+/**
+ * Applies the read projection of a derived dataset to the values of a property.
+ *
+ * Values of properties that aren't in the projection are removed.
+ * @function
+ * @alias module:sqlite-derived.projectValues
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {string} key - The property name or path, e.g. "address.postcode".
+ * @param {any[]} values - The values of the property.
+ * @returns {any[]} - The projected values.
+ */
+module.exports.projectValues = function(derived, key, values) {
+  if (!derived || _.isEmpty(derived.projection)) {
+    return values;
+  }
+  const projected = [];
+  for (const value of values) {
+    const row = module.exports.projectRow(derived.projection, _.set({}, key, value));
+    const projectedValue = _.get(row, key);
+    if (projectedValue !== undefined) {
+      projected.push(projectedValue);
+    }
+  }
+  // Projecting objects can make them equal
+  return _.uniqWith(projected, _.isEqual);
+};
+
+/**
+ * Checks if the read projection of a derived dataset hides a property, or any part of it.
+ * @function
+ * @alias module:sqlite-derived.isHidden
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {string} key - The property name or path, e.g. "address.postcode".
+ * @returns {boolean} - `true` if the property can't be read.
+ */
+module.exports.isHidden = function(derived, key) {
+  if (!derived || _.isEmpty(derived.projection)) {
+    return false;
+  }
+  // Matching an object matches the hidden properties in it
+  if (Object.keys(derived.projection).some((projected) => projected.startsWith(`${key}.`))) {
+    return true;
+  }
+  const row = module.exports.projectRow(derived.projection, _.set({}, key, true));
+  return _.get(row, key) === undefined;
+};
+
+/**
+ * Checks that a filter and a sort only use the properties that a derived dataset can read,
+ * so that the hidden values can't be worked out from the rows that match or their order.
+ * @function
+ * @alias module:sqlite-derived.checkReadKeys
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {object} [filter] - A mongodb filter object.
+ * @param {object} [sort] - A mongodb sort object, e.g. `{timestamp: -1}`.
+ */
+module.exports.checkReadKeys = function(derived, filter, sort) {
+  for (const key of sqliteConverter.getFilterKeys(filter)) {
+    if (module.exports.isHidden(derived, key)) {
+      throw Error(`[sqlite-derived]: can't filter by ${key}, which the derived projection hides.`);
+    }
+  }
+  for (const key of Object.keys(sort || {})) {
+    if (module.exports.isHidden(derived, key)) {
+      throw Error(`[sqlite-derived]: can't sort by ${key}, which the derived projection hides.`);
+    }
+  }
+};
+
+/**
+ * Checks if a data row only writes the properties in the write projection of a derived dataset.
+ * @function
+ * @alias module:sqlite-derived.checkWriteProjection
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {DataRow} row - The data row to write.
+ * @returns {boolean} - `true` if the row can be written.
+ */
+module.exports.checkWriteProjection = function(derived, row) {
+  if (!derived || _.isEmpty(derived.writeProjection)) {
+    return true;
+  }
+  return _.isEqual(module.exports.projectRow(derived.writeProjection, row), row);
+};
+
+/**
+ * Checks if a mongodb update document only writes the properties in the write projection of a derived dataset.
+ * @function
+ * @alias module:sqlite-derived.checkUpdateProjection
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {object} update - The mongodb update document, with or without update operators.
+ * @returns {boolean} - `true` if the update can be written.
+ */
+module.exports.checkUpdateProjection = function(derived, update) {
+  const hasOperators = Object.keys(update).some((key) => key.startsWith("$"));
+  const fields = hasOperators ?
+    _.flatMap(update, (operatorFields) => Object.keys(operatorFields || {})) :
+    Object.keys(update);
+  // Property paths are written as nested properties
+  const row = fields.reduce((updatedRow, field) => _.set(updatedRow, field, null), {});
+  return module.exports.checkWriteProjection(derived, row);
+};
+
+/**
+ * Prepends the read filter and projection of a derived dataset to an aggregation pipeline.
+ *
+ * The `"@@_identity_@@"` placeholder is substituted in the whole pipeline.
+ * @function
+ * @alias module:sqlite-derived.makeAggregatePipeline
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @param {object[]} pipeline - The mongodb aggregation pipeline.
+ * @param {string} [identity] - The identity of the current user.
+ * @returns {object[]} - The pipeline that only sees the derived data.
+ */
+module.exports.makeAggregatePipeline = function(derived, pipeline, identity) {
+  if (!derived) {
+    return module.exports.substituteIdentity(pipeline, identity);
+  }
+
+  const stages = [];
+  if (!_.isEmpty(derived.filter)) {
+    stages.push({$match: derived.filter});
+  }
+  if (!_.isEmpty(derived.projection)) {
+    if (Object.keys(derived.projection).some((key) => key.includes("."))) {
+      throw Error("[sqlite-derived]: aggregating doesn't support derived projections on property paths.");
+    }
+    stages.push({$project: derived.projection});
+  }
+  return module.exports.substituteIdentity(stages.concat(pipeline), identity);
+};
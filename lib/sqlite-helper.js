@@ -47,6 +47,15 @@ class PreparedStatementCache {
     return this;
   }
 
+  /**
+   * Removes the statement for a list of keys.
+   * @param {Array<string>} keys An array of strings.
+   * @returns {boolean} `true` if a statement was removed.
+   */
+  delete(keys) {
+    return this.cache.delete(this.cacheKey(keys));
+  }
+
   /**
    * Cleanup the cached statements.
    */
@@ -96,25 +105,72 @@ function dbRun(db, sqliteCommand) {
   });
 }
 
+let savepointCount = 0;
+
+/**
+ * Makes the SQLite commands to begin, commit and roll back a transaction.
+ *
+ * Inside the transaction handle of `withTransaction`, they use a SAVEPOINT
+ * of the user transaction instead.
+ * @param {object} db - The sqlite3 db object, or a transaction handle.
+ * @returns {{begin: string, commit: string, rollback: string[]}} The commands.
+ */
+function makeTransactionCommands(db) {
+  if (!db.transaction) {
+    return {
+      begin: "BEGIN IMMEDIATE TRANSACTION;",
+      commit: "COMMIT TRANSACTION;",
+      rollback: ["ROLLBACK TRANSACTION;"],
+    };
+  }
+  savepointCount++;
+  const savepoint = `transaction_${savepointCount}`;
+  return {
+    begin: `SAVEPOINT ${savepoint};`,
+    commit: `RELEASE SAVEPOINT ${savepoint};`,
+    // ROLLBACK TO leaves the SAVEPOINT open
+    rollback: [`ROLLBACK TO SAVEPOINT ${savepoint};`, `RELEASE SAVEPOINT ${savepoint};`],
+  };
+}
+
+/**
+ * Rolls back a transaction.
+ * @param {sqlite3.Database} db
+ * @param {{rollback: string[]}} commands The commands of the transaction.
+ * @return {Promise<void>}
+ */
+async function rollbackTransaction(db, commands) {
+  for (const command of commands.rollback) {
+    await dbRun(db, command);
+  }
+}
+
 /**
  * Runs an sqlite prepared statement with the given params.
  * @async
  * @param {sqlite3.Statement} statement
  * @param {Array<*>} params
- * @return {Promise<void>}
+ * @return {Promise<number>} The number of rows changed by the statement.
  */
 function statementRun(statement, params) {
   return new Promise((resolve, reject) => {
-    statement.run(params, (error) => {
+    statement.run(params, function(error) {
       if (error) {
         reject(Error(error));
       } else {
-        resolve();
+        resolve(this.changes);
       }
     });
   });
 }
 
+/**
+ * @global
+ * @typedef {object} RowResult
+ * @property {number} [changes] - The number of rows changed by the statement of the data row.
+ * @property {Error} [error] - The error of the data row, if its statement failed.
+ */
+
 /**
  * Runs an SQLite statement for each row in data.
  *
@@ -126,55 +182,143 @@ function statementRun(statement, params) {
  * @param {SQLiteStatementCreator} sqliteStatementCreator
  *   A function that creates the SQLite Statement from a list of keys.
  * @param {Array<Object>} data The data to add to the database.
- * @returns {Promise<Array<void>>} A promise that rejects with any errors.
+ * @param {Array<*>} extraValues The values to bind after the values of each data row.
+ * @returns {Promise<Array<RowResult>>} A promise with the result of each
+ *   data row. It never rejects, the errors are in the results instead.
  *
  * @warning This function can never become `async`, as function execution
  *   MUST never be paused between BEGIN TRANSACTION and END TRANSACTION
  */
-function runCommands(statementCache, db, sqliteStatementCreator, data) {
-  const returnPromises = [];
-  try {
-    for (const dataRow of data) {
-      /*
-      * ES6 has a defined constant order for Object.keys and
-      * Object.values so we can count on them always having the same
-      * order when we run the statement.
-      */
-      const dataRowKeys = Object.keys(dataRow);
-
-      let compiledStatement = statementCache.get(dataRowKeys);
-
-      if (compiledStatement === undefined) {
-        const sqliteStatementString = sqliteStatementCreator(dataRowKeys);
-        const compileError = new Promise((resolve, reject) => {
-          compiledStatement = db.prepare(
-            sqliteStatementString, [], (error) => {
-              if (error) {
-                reject(Error(error));
-              } else {
-                resolve();
-              }
-            },
-          );
-        });
-        returnPromises.push(compileError);
+function runCommands(statementCache, db, sqliteStatementCreator, data, extraValues) {
+  // Rejects if the statement fails to compile, as running or finalizing it never calls back
+  const compileFailures = new Map();
+  const rowPromises = data.map((dataRow) => {
+    /*
+    * ES6 has a defined constant order for Object.keys and
+    * Object.values so we can count on them always having the same
+    * order when we run the statement.
+    */
+    const dataRowKeys = Object.keys(dataRow);
+
+    let compiledStatement = statementCache.get(dataRowKeys);
 
-        statementCache.set(dataRowKeys, compiledStatement);
+    if (compiledStatement === undefined) {
+      let sqliteStatementString;
+      try {
+        sqliteStatementString = sqliteStatementCreator(dataRowKeys);
+      } catch (error) {
+        return Promise.resolve({error: Error(error)});
       }
-      returnPromises.push(
-        statementRun(compiledStatement, Object.values(dataRow)),
-      );
+      const compileFailure = new Promise((resolve, reject) => {
+        compiledStatement = db.prepare(
+          sqliteStatementString, [], (error) => {
+            if (error) {
+              statementCache.delete(dataRowKeys);
+              reject(Error(error));
+            }
+          },
+        );
+      });
+      compileFailures.set(compiledStatement, compileFailure);
+
+      statementCache.set(dataRowKeys, compiledStatement);
+    }
+    const runPromise = statementRun(compiledStatement, Object.values(dataRow).concat(extraValues));
+    const compileFailure = compileFailures.get(compiledStatement);
+    return (compileFailure ? Promise.race([compileFailure, runPromise]) : runPromise).then(
+      (changes) => ({changes}),
+      (error) => ({error}),
+    );
+  });
+  return Promise.all(rowPromises);
+}
+
+/**
+ * Runs an SQLite statement for each row in data, each in its own SAVEPOINT.
+ *
+ * A failed row is rolled back to its SAVEPOINT, and the next rows still run.
+ * This should be run within a transaction.
+ * @async
+ * @param {PreparedStatementCache} statementCache
+ *   Should be finalized when finished.
+ * @param {sqlite3.Database} db The database to run the commands on.
+ * @param {SQLiteStatementCreator} sqliteStatementCreator
+ *   A function that creates the SQLite Statement from a list of keys.
+ * @param {Array<Object>} data The data to add to the database.
+ * @param {Array<*>} extraValues The values to bind after the values of each data row.
+ * @returns {Promise<Array<RowResult>>} A promise with the result of each
+ *   data row.
+ */
+async function runCommandsWithSavepoints(statementCache, db, sqliteStatementCreator, data, extraValues) {
+  const results = [];
+  for (const dataRow of data) {
+    await dbRun(db, "SAVEPOINT data_row;");
+    const [result] = await runCommands(statementCache, db, sqliteStatementCreator, [dataRow], extraValues);
+    if (result.error) {
+      await dbRun(db, "ROLLBACK TO SAVEPOINT data_row;");
     }
-  } catch (error) {
-    returnPromises.push(Promise.reject(Error(error)));
+    await dbRun(db, "RELEASE SAVEPOINT data_row;");
+    results.push(result);
   }
-  return Promise.all(returnPromises);
+  return results;
 }
 
 /**
- * Runs an SQLite statement for each row in data.
+ * Runs a function once the previous queued transactions of the database have finished.
+ *
+ * SQLite transactions belong to the connection, so the statements of two
+ * transactions on the same db object must never be interleaved. A transaction
+ * handle of `withTransaction` has its own queue.
+ * @function
+ * @alias module:sqlite-helper.queueTransaction
+ * @async
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {function(): Promise<any>} callback - The function that runs the transaction.
+ * @returns {Promise<any>} - The value returned by `callback`.
+ */
+module.exports.queueTransaction = function(db, callback) {
+  const result = (db.transactionQueue || Promise.resolve()).then(() => callback());
+  // The next transactions wait for this one, even if it fails
+  db.transactionQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Runs a function in an immediate transaction, rolling back if it fails.
+ *
+ * The transaction waits for the previous queued transactions of the database.
+ * With the transaction handle of `withTransaction`, it is a SAVEPOINT of the user transaction.
+ * @function
+ * @alias module:sqlite-helper.runInTransaction
+ * @async
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {function(): Promise<any>} callback - The function to run in the transaction.
+ * @returns {Promise<any>} - The value returned by `callback`.
+ */
+module.exports.runInTransaction = function(db, callback) {
+  return module.exports.queueTransaction(db, async() => {
+    const commands = makeTransactionCommands(db);
+    await dbRun(db, commands.begin);
+    let result;
+    try {
+      result = await callback();
+      await dbRun(db, commands.commit);
+    } catch (error) {
+      await rollbackTransaction(db, commands);
+      throw error;
+    }
+    return result;
+  });
+};
+
+/**
+ * Runs an SQLite statement for each row in data, in a transaction.
  *
  * It caches statements depending on the columns in each row of data.
+ *
+ * By default, the whole transaction is rolled back if any row fails.
+ * With `options.continueOnError`, every row runs in its own SAVEPOINT, so
+ * only the rows that failed are rolled back and the other rows are committed.
  * @function
  * @alias module:sqlite-helper.executeMany
  * @async
@@ -182,27 +326,118 @@ function runCommands(statementCache, db, sqliteStatementCreator, data) {
  * @param {SQLiteStatementCreator} sqliteStatementCreator - A function that
  *     creates SQLite strings.
  * @param {Array<object>} data - A list of all the data rows to execute.
- * @returns {Promise<void>}
+ * @param {object} [options] - The execute options.
+ * @param {boolean} [options.continueOnError=false] - Commits the rows that
+ *     didn't fail, instead of rolling back the whole transaction.
+ * @param {Array<*>} [options.values] - The values to bind after the values of each
+ *     data row, for the `?NNN` parameters of an extra condition of the statements.
+ * @param {function(): Promise<void>} [options.onBegin] - A function run in the transaction
+ *     before the statements, e.g. to read the rows they change. If it rejects, the
+ *     transaction is rolled back and `executeMany` rejects with its error.
+ * @returns {Promise<number[]|RowResult[]>} - The number of rows changed by each data row.
+ *     If the statement of a data row fails, rejects with its error, with the
+ *     index of the data row in `error.index` and the {@link RowResult} of
+ *     every data row in `error.results`. As the transaction is rolled back,
+ *     the other rows have 0 `changes`.
+ *     With `options.continueOnError`, resolves with the {@link RowResult} of
+ *     each data row instead.
  */
-module.exports.executeMany = async function(db, sqliteStatementCreator, data) {
-  const cachedStatements = new PreparedStatementCache();
-  let beginPromise;
-  let endPromise;
-  let runCommandPromise;
-  /*
-   * db.serialize means everything in the function is done in serial, not in
-   * parallel as is normal. This function CANNOT BE ASYNC!
-   */
-  db.serialize(() => {
-    beginPromise = dbRun(db, "BEGIN IMMEDIATE TRANSACTION;");
-    runCommandPromise = runCommands(
-      cachedStatements, db, sqliteStatementCreator, data);
-    endPromise = dbRun(db, "COMMIT TRANSACTION;");
+module.exports.executeMany = function(db, sqliteStatementCreator, data, options = {}) {
+  const extraValues = options.values || [];
+  return module.exports.queueTransaction(db, async() => {
+    const commands = makeTransactionCommands(db);
+    const cachedStatements = new PreparedStatementCache();
+    let results;
+    let began = false;
+    try {
+      if (options.continueOnError || options.onBegin) {
+        await dbRun(db, commands.begin);
+        began = true;
+        if (options.onBegin) {
+          await options.onBegin();
+        }
+      }
+      if (options.continueOnError) {
+        results = await runCommandsWithSavepoints(
+          cachedStatements, db, sqliteStatementCreator, data, extraValues);
+      } else {
+        let beginPromise;
+        let runCommandPromise;
+        /*
+        * db.serialize means everything in the function is done in serial, not in
+        * parallel as is normal. This function CANNOT BE ASYNC!
+        */
+        db.serialize(() => {
+          beginPromise = began ? Promise.resolve() : dbRun(db, commands.begin);
+          runCommandPromise = runCommands(
+            cachedStatements, db, sqliteStatementCreator, data, extraValues);
+        });
+        // runCommandPromise never rejects
+        [, results] = await Promise.all([beginPromise, runCommandPromise]);
+        began = true;
+      }
+
+      if (!options.continueOnError && results.some((result) => result.error)) {
+        await rollbackTransaction(db, commands);
+      } else {
+        await dbRun(db, commands.commit);
+      }
+    } catch (error) {
+      if (began) {
+        await rollbackTransaction(db, commands).catch(() => {});
+      }
+      throw error;
+    } finally {
+      await cachedStatements.finalizeAll();
+    }
+
+    if (options.continueOnError) {
+      return results;
+    }
+    const index = results.findIndex((result) => result.error);
+    if (index >= 0) {
+      const error = results[index].error;
+      error.index = index;
+      error.results = results.map((result) => (result.error ? result : {changes: 0}));
+      throw error;
+    }
+    return results.map((result) => result.changes);
   });
+};
 
-  try {
-    await Promise.all([beginPromise, runCommandPromise, endPromise]);
-  } finally {
-    await cachedStatements.finalizeAll();
-  }
+/**
+ * Runs an sqlite query and returns the number of rows it changed.
+ * @function
+ * @alias module:sqlite-helper.runChanges
+ * @async
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {string} query - The sqlite query, e.g. an UPDATE or DELETE query.
+ * @param {Array<*>} params - The values to bind to the query.
+ * @returns {Promise<number>} - The number of rows changed, i.e. `this.changes` of `db.run()`.
+ */
+module.exports.runChanges = function(db, query, params) {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(error) {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+};
+
+/**
+ * Replaces the mongo-sql `$NNN` parameters with `?NNN` parameters.
+ *
+ * SQLite numbers `$NNN` parameters in the order they appear in the query,
+ * while `?NNN` parameters use the given index. Use this when a mongo-sql
+ * query is nested in a query with other parameters.
+ * @function
+ * @alias module:sqlite-helper.toNumberedParameters
+ * @param {string} query - The mongo-sql query.
+ * @returns {string} - The query with numbered parameters.
+ */
+module.exports.toNumberedParameters = function(query) {
+  return query.replace(/("(?:[^"]|"")*")|\$(\d+)/g, (match, quoted, index) => quoted || `?${index}`);
 };
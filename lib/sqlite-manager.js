@@ -22,13 +22,18 @@ const util = require("util");
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
+const stream = require("stream");
 
 const sqliteConstants = require("./sqlite-constants.js");
+const sqliteAggregate = require("./sqlite-aggregate.js");
+const sqliteDerived = require("./sqlite-derived.js");
 const sqliteInfoTable = require("./sqlite-info-table.js");
 const sqliteConverter = require("./sqlite-schema-converter.js");
 const sqliteHelper = require("./sqlite-helper.js");
 const sqliteCreator = require("./sqlite-statement-creator.js");
 const sqliteNdarray = require("./sqlite-ndarray.js");
+const sqliteUpdate = require("./sqlite-update.js");
+const sqliteValidator = require("./sqlite-validator.js");
 
 const queryLimit = sqliteConstants.SQLITE_QUERY_LIMIT;
 
@@ -43,6 +48,8 @@ checkNodeVersion();
  * @property  {object} metaData - The dataset metadata (see `nqmMeta` option in `getDatasetData`).
  * @property  {string} metaDataUrl - The URL to the dataset metadata (see `nqmMeta` option in `getDatasetData`).
  * @property  {DataRow[]} data - The dataset documents.
+ * @property  {string|null} nextCursor - The cursor to pass as `options.after` to get the next page of documents.
+ *     `null` if there are no more documents.
  */
 
 /**
@@ -75,8 +82,33 @@ checkNodeVersion();
  *     when available.
  * @property  {array} result.errors - Will contain error information
  *     when appropriate.
- * @property  {array} result.commit - Contains details of each
+ * @property  {CommitResult[]} result.commit - Contains details of each
  *     committed document.
+ * @property  {number} result.count - The number of rows inserted or updated
+ *     by the command.
+ */
+
+/**
+ * The outcome of writing a document.
+ * @global
+ * @typedef  {object} CommitResult
+ * @property  {number} index - The index of the document in the written data.
+ * @property  {object} key - The primary key (uniqueIndex) values of the document.
+ * @property  {string} [status] - `"inserted"`, `"updated"`, `"deleted"` or `"unchanged"`, if the
+ *     document was written.
+ * @property  {Error} [error] - The error of the document, if it couldn't be written.
+ */
+
+/**
+ * The inconsistencies between the ndarray files and the rows that reference them.
+ * @global
+ * @typedef  {object} NdarrayStoreReport
+ * @property  {string[]} orphans - The names of the files in the data folder that no row references.
+ * @property  {object[]} missing - The `{column, p, rowid}` of each reference to a file that doesn't exist.
+ * @property  {object[]} uncommitted - The `{column, p, rowid}` of each reference to a file that is still
+ *     at its temporary name, because the process stopped after its row was committed.
+ * @property  {object[]} mismatched - The `{column, p, rowid, size, expectedSize}` of each reference to
+ *     a raw file whose size doesn't match the type and shape of the ndarray.
  */
 
 /**
@@ -125,6 +157,7 @@ async function makeEmptyCommandResult() {
     response: null,
     result: {
       commit: [],
+      count: 0,
       errors: [],
     },
   };
@@ -161,6 +194,10 @@ function findCollectionKeys(collection, searchValue) {
  */
 
 const mkdir = util.promisify(fs.mkdir);
+const readdir = util.promisify(fs.readdir);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+const rename = util.promisify(fs.rename);
 
 // path is a parameter in openDatabase() so define the function we need here
 const dirname = path.dirname;
@@ -175,10 +212,27 @@ const join = path.join;
  * @param {string} filepath - The path of the db
  * @param {string} type - The type of the db: "file" or "memory"
  * @param {string} mode - The open mode of the db: "w+" or "rw" or "r"
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.identity] - The identity of the current user, e.g. `"bob@acme.com/tdx.acme.com"`.
+ *   It is substituted for the `"@@_identity_@@"` placeholder in every filter, unless a call gives its own identity.
+ * @param {string} [options.dateFormat="date"] - The format of the TDX `date` values read from the database:
+ *   `"date"` for `Date` objects, `"iso"` for ISO-8601 strings or `"epoch"` for milliseconds since the epoch.
  * @returns {Promise<object>}
  *   Returns the sqlite3 db object from module node-sqlite3
+ * @example <caption>open a shared database for a user</caption>
+ * const db = await manager.openDatabase("./devices.sqlite", "file", "rw", {identity: "bob@acme.com/tdx.acme.com"});
  */
-module.exports.openDatabase = async function(filepath, type, mode) {
+module.exports.openDatabase = async function(filepath, type, mode, options) {
+  options = options || {};
+  const dateFormats = [
+    sqliteConstants.DATE_FORMAT_DATE,
+    sqliteConstants.DATE_FORMAT_ISO,
+    sqliteConstants.DATE_FORMAT_EPOCH,
+  ];
+  if (options.dateFormat !== undefined && !dateFormats.includes(options.dateFormat)) {
+    throw Error(`[sqlite-manager]: dateFormat should be in ${dateFormats}. Instead got ${options.dateFormat}.`);
+  }
+
   const databasePath = (type === sqliteConstants.DATABASE_FILE_TYPE) ? filepath : sqliteConstants.DATABASE_MEMORY_MODE;
   let databaseMode = sqlite3.OPEN_READONLY;
 
@@ -232,6 +286,12 @@ module.exports.openDatabase = async function(filepath, type, mode) {
   // Generate an id to store the general schema in the dictionary
   db.id = shortid.generate();
 
+  // Store the identity to substitute in the filters
+  db.identity = options.identity;
+
+  // Store the format of the dates to read
+  db.dateFormat = options.dateFormat || sqliteConstants.DATE_FORMAT_DATE;
+
   return db;
 };
 
@@ -254,6 +314,141 @@ module.exports.closeDatabase = function(db) {
   });
 };
 
+/**
+ * Makes the column definitions of the "CREATE TABLE" query for the data table.
+ * @param {object} schema - The general schema of the dataset.
+ * @returns {string} - The comma separated column definitions.
+ */
+function makeTableColumns(schema) {
+  // Map the converted schema to a valid sqlite schema and then
+  // map it to a string
+  const sqliteSchemaKeys = _.map(
+    sqliteConverter.mapSchema(schema),
+    (value, key) => `${key} ${value}`,
+  );
+  return sqliteSchemaKeys.join(",");
+}
+
+/**
+ * Makes the indexed columns of the "CREATE INDEX" query for an index.
+ * @param {UniqueIndex} index - The uniqueIndex, or a nonUniqueIndex entry, of the dataset.
+ * @returns {string} - The comma separated indexed columns.
+ */
+function makeIndexColumns(index) {
+  const sqlitePrimaryKeyStrArr = index.map(
+    (value) => {
+      const entries = Object.entries(value);
+      if (entries.length !== 1) {
+        throw Error(
+          "[sqlite-manager]: index Object should have one key. " +
+          `Object: ${value} has ${entries.length} keys.`,
+        );
+      }
+      const [sortOrder, sortKey] = entries[0];
+      const sqliteSortTypes = {
+        asc: sqliteConstants.SQLITE_SORT_TYPE_ASC,
+        desc: sqliteConstants.SQLITE_SORT_TYPE_DESC,
+      };
+      const sortType = sqliteSortTypes[sortOrder];
+      if (sortType === undefined) {
+        throw Error(
+          "[sqlite-manager]: index sortOrder should be in " +
+          `${Object.keys(sqliteSortTypes)}. Instead got ${value}.`);
+      }
+      return `${sortKey} ${sortType}`;
+    },
+  );
+  return sqlitePrimaryKeyStrArr.join(",");
+}
+
+/**
+ * Makes the name of a non unique index from its columns, e.g. "dataindex_timestamp_asc".
+ *
+ * The underscores in the column names are doubled, so that every index has its own name,
+ * e.g. "dataindex_a__asc__b_asc" for `[{asc: "a_asc_b"}]` and "dataindex_a_asc_b_asc"
+ * for `[{asc: "a"}, {asc: "b"}]`.
+ * @param {UniqueIndex} index - A nonUniqueIndex entry of the dataset.
+ * @returns {string} - The index name.
+ */
+function makeIndexName(index) {
+  const suffix = index.map((value) => {
+    const [sortOrder, column] = Object.entries(value)[0];
+    return `${column.split("_").join("__")}_${sortOrder}`;
+  });
+  return [sqliteConstants.DATABASE_TABLE_INDEX_NAME].concat(suffix).join("_");
+}
+
+/**
+ * Makes the "CREATE INDEX" query of a non unique index.
+ * @param {UniqueIndex} index - A nonUniqueIndex entry of the dataset.
+ * @returns {string} - The "CREATE INDEX" query.
+ */
+function makeCreateIndexQuery(index) {
+  if (!Array.isArray(index) || !index.length) {
+    throw Error("[sqlite-manager]: nonUniqueIndex entry should be a non empty array.");
+  }
+  const indexColumnStr = makeIndexColumns(index);
+  const indexName = sqliteConverter.escapeIdentifier(makeIndexName(index));
+  return `CREATE INDEX ${indexName} ON ${sqliteConstants.DATABASE_DATA_TABLE_NAME}(${indexColumnStr})`;
+}
+
+/**
+ * Checks that the columns of an index are in the general schema, throwing otherwise.
+ * @param {object} schema - The general schema.
+ * @param {UniqueIndex} index - The uniqueIndex, or a nonUniqueIndex entry, of the dataset.
+ */
+function checkIndexColumns(schema, index) {
+  for (const value of index) {
+    const column = Object.values(value)[0];
+    if (!(column in schema)) {
+      throw Error(`[sqlite-manager]: index column ${column} is not in the schema.`);
+    }
+  }
+}
+
+/**
+ * Runs a function once the changes of the current write are committed.
+ *
+ * With the transaction handle of `withTransaction`, it runs after the user
+ * transaction commits, and never runs if it rolls back.
+ * @param {object} db - The sqlite3 db object, or a transaction handle.
+ * @param {function(): Promise<any>} callback - The function to run.
+ * @returns {Promise<void>}
+ */
+async function afterCommit(db, callback) {
+  if (db.transaction) {
+    db.transaction.onCommit.push(callback);
+  } else {
+    await callback();
+  }
+}
+
+/**
+ * Runs a function if the user transaction of a transaction handle rolls back.
+ * @param {object} db - The sqlite3 db object, or a transaction handle.
+ * @param {function(): Promise<any>} callback - The function to run.
+ */
+function onRollback(db, callback) {
+  if (db.transaction) {
+    db.transaction.onRollback.push(callback);
+  }
+}
+
+/**
+ * Sets the schema key of the info table.
+ *
+ * Unlike `sqliteInfoTable.setInfoKeys`, this can run inside a transaction.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The schema definition.
+ * @returns {Promise<void>}
+ */
+function setSchemaInfo(db, schema) {
+  return db.runAsync(`REPLACE INTO ${sqliteConstants.DATABASE_INFO_TABLE_NAME} (key,value) VALUES(?,?)`, [
+    "schema",
+    sqliteConverter.convertToSqlite(sqliteConstants.SQLITE_GENERAL_TYPE_OBJECT, schema, {onlyStringify: true}),
+  ]);
+}
+
 /**
  * Creates a dataset in the sqlite database.
  * @function
@@ -263,6 +458,8 @@ module.exports.closeDatabase = function(db) {
  * @param  {string} [options.basedOnSchema="dataset"] - the id of the schema on which this resource will be based.
  * @param  {object} [options.derived] -
  *     definition of derived filter, implying this resource is a view on an existing dataset.
+ *     The data of the source dataset is stored in this database, and every read and write through this
+ *     database is restricted by the filters and projections below.
  * @param  {object} [options.derived.filter] - the (read) filter to apply, in mongodb query format,
  *     e.g. `{"temperature": {"$gt": 15}}` will mean that only data with a temperature value greater than 15 will be
  *     available in this view. The filter can be any arbitrarily complex mongodb query. Use the placeholder
@@ -271,7 +468,7 @@ module.exports.closeDatabase = function(db) {
  *     "@@_identity_@@"}` will resolve at runtime to `{"username": "bob@acme.com/tdx.acme.com"}`.
  * @param  {object} [options.derived.projection] - the (read) projection to apply, in mongodb projection format,
  *     e.g. `{"timestamp": 1, "temperature": 1}` implies only the 'timestamp' and 'temperature' properties will be
- *     returned.
+ *     returned. Filtering or sorting by the other properties is rejected.
  * @param  {string} [options.derived.source] - the id of the source dataset on which to apply the filters and
  *     projections.
  * @param  {object} [options.derived.writeFilter] - the write filter to apply, in mongodb query format. This
@@ -296,6 +493,8 @@ module.exports.closeDatabase = function(db) {
  * @param  {object} [options.schema.dataSchema] - data schema definition object. Has TDX object structure.
  * @param  {object[]} [options.schema.uniqueIndex] - array of key value pairs denoting
  *     the ascending or descending order of the columns.
+ * @param  {Array<object[]>} [options.schema.nonUniqueIndex] - array of non unique indexes,
+ *     each with the same format as `uniqueIndex`.
  * @param  {string} [options.shareMode] - the share mode assigned to the new resource.
  *     One of [`"pw"`, `"pr"`, `"tr"`], corresponding to:
  *     "public read/write", "public read/trusted write", "trusted only".
@@ -311,6 +510,17 @@ module.exports.closeDatabase = function(db) {
  *      "uniqueIndex": [{"asc": "prop1"}]
  *    }
  *  });
+ * @example <caption>create a dataset with an index on the timestamp</caption>
+ *  manager.createDataset(db, {
+ *    "schema": {
+ *      "dataSchema": {
+ *        "id": {"__tdxType": ["string"]},
+ *        "timestamp": {"__tdxType": ["number"]}
+ *      },
+ *      "uniqueIndex": [{"asc": "id"}],
+ *      "nonUniqueIndex": [[{"asc": "timestamp"}]]
+ *    }
+ *  });
  */
 module.exports.createDataset = async function(db, options) {
   // Dataset id
@@ -332,6 +542,12 @@ module.exports.createDataset = async function(db, options) {
     throw Error("[sqlite-manager]: index doesn't match schema.");
   }
 
+  const createIndexQueries = (options.schema.nonUniqueIndex || []).map(makeCreateIndexQuery);
+
+  if (options.derived !== undefined) {
+    sqliteDerived.checkDerived(options.derived);
+  }
+
   const infoExists = await sqliteInfoTable.checkInfoTable(db);
   if (infoExists) {
     // Check if schema match
@@ -343,12 +559,20 @@ module.exports.createDataset = async function(db, options) {
     // eslint-disable-next-line require-atomic-updates
     options.id = pair[0].id;
 
-    // Check for schema equality
-    if (!_.isEqual(pair[1].schema, options.schema)) {
+    // Check for schema equality, the non unique indexes can be changed by createIndex() and dropIndex()
+    if (!_.isEqual(_.omit(pair[1].schema, "nonUniqueIndex"), _.omit(options.schema, "nonUniqueIndex"))) {
       throw Error("[sqlite-manager]: schemas don't coincide" +
         `Original schema was: ${pair[1].schema}.\n` +
         `Current schema is ${options.schema}.\n`);
     }
+
+    // Create the requested non unique indexes that don't exist yet
+    const nonUniqueIndex = pair[1].schema.nonUniqueIndex || [];
+    for (const index of options.schema.nonUniqueIndex || []) {
+      if (!nonUniqueIndex.some((value) => _.isEqual(value, index))) {
+        await module.exports.createIndex(db, index);
+      }
+    }
   } else {
     // create a new info table
     await sqliteInfoTable.createInfoTable(db);
@@ -358,41 +582,11 @@ module.exports.createDataset = async function(db, options) {
       return pair;
     }));
 
-    // Map the converted schema to a valid sqlite schema and then
-    // map it to a string
     const schema = await module.exports.getGeneralSchema(db);
-    const sqliteSchemaKeys = _.map(
-      sqliteConverter.mapSchema(schema),
-      (value, key) => `${key} ${value}`,
-    );
     // Create the sqlite "CREATE TABLE" query index definition
-    const tableColumnStr = sqliteSchemaKeys.join(",");
-
-    const sqlitePrimaryKeyStrArr = options.schema.uniqueIndex.map(
-      (value) => {
-        const entries = Object.entries(value);
-        if (entries.length !== 1) {
-          throw Error(
-            "[sqlite-manager]: uniqueIndex Object should have one key. " +
-            `Object: ${value} has ${entries.length} keys.`,
-          );
-        }
-        const [sortOrder, sortKey] = entries[0];
-        const sqliteSortTypes = {
-          asc: sqliteConstants.SQLITE_SORT_TYPE_ASC,
-          desc: sqliteConstants.SQLITE_SORT_TYPE_DESC,
-        };
-        const sortType = sqliteSortTypes[sortOrder];
-        if (sortType === undefined) {
-          throw Error(
-            "[sqlite-manager]: uniqueIndex sortOrder should be in " +
-            `${Object.keys(sqliteSortTypes)}. Instead got ${value}.`);
-        }
-        return `${sortKey} ${sortType}`;
-      },
-    );
+    const tableColumnStr = makeTableColumns(schema);
     // Create the sqlite "CREATE TABLE" query primary key definition
-    const sqlitePrimaryKeyStr = sqlitePrimaryKeyStrArr.join(",");
+    const sqlitePrimaryKeyStr = makeIndexColumns(options.schema.uniqueIndex);
 
     if (tableColumnStr !== "") {
       // Create the table without the index
@@ -407,11 +601,369 @@ module.exports.createDataset = async function(db, options) {
         );
         await db.runAsync(createIndexQuery, []);
       }
+
+      for (const query of createIndexQueries) {
+        await db.runAsync(query, []);
+      }
     }
   }
   return options.id;
 };
 
+/**
+ * Alters the schema of an existing dataset.
+ *
+ * New columns are added with `ALTER TABLE ADD COLUMN`. If columns are
+ * removed or their sqlite types change, the data table is rebuilt, keeping
+ * the data of the remaining columns. The ndarray files of removed ndarray
+ * columns are deleted.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.alterDataset
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The new schema definition.
+ * @param {object} [schema.dataSchema] - The new data schema definition object. Has TDX object structure.
+ * @param {object[]} [schema.uniqueIndex] - The new array of key value pairs denoting
+ *     the ascending or descending order of the columns.
+ * @param {Array<object[]>} [schema.nonUniqueIndex] - The new array of non unique indexes.
+ * @returns {Promise<{added: string[], changed: string[], removed: string[]}>}
+ *     - The promise with the added columns, the columns with a changed type and the removed columns.
+ * @example <caption>add a humidity field</caption>
+ * manager.alterDataset(db, {
+ *   dataSchema: {timestamp: {__tdxType: ["number"]}, humidity: {__tdxType: ["number"]}},
+ *   uniqueIndex: [{asc: "timestamp"}],
+ * });
+ */
+module.exports.alterDataset = async function(db, schema) {
+  schema = Object.assign({}, schema);
+  schema.dataSchema = schema.dataSchema || {};
+  schema.uniqueIndex = schema.uniqueIndex || [];
+
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+  if (!infoTable.length) {
+    throw Error("[sqlite-manager]: no dataset to alter.");
+  }
+  const oldUniqueIndex = infoTable[0].schema.uniqueIndex || [];
+  const oldNonUniqueIndex = infoTable[0].schema.nonUniqueIndex || [];
+  const nonUniqueIndex = schema.nonUniqueIndex || [];
+
+  const oldGeneralSchema = await module.exports.getGeneralSchema(db);
+  const newGeneralSchema = sqliteConverter.convertSchema(schema.dataSchema);
+  if (_.isEmpty(newGeneralSchema)) {
+    throw Error("[sqlite-manager]: can't remove all the columns of a dataset.");
+  }
+
+  const indexColumnStr = makeIndexColumns(schema.uniqueIndex);
+  const createIndexQueries = nonUniqueIndex.map(makeCreateIndexQuery);
+  for (const index of [schema.uniqueIndex].concat(nonUniqueIndex)) {
+    checkIndexColumns(newGeneralSchema, index);
+  }
+
+  const ndarrayType = sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY;
+  const added = Object.keys(newGeneralSchema).filter((column) => !(column in oldGeneralSchema));
+  const removed = Object.keys(oldGeneralSchema).filter((column) => !(column in newGeneralSchema));
+  const kept = Object.keys(newGeneralSchema).filter((column) => column in oldGeneralSchema);
+  const changed = kept.filter((column) => oldGeneralSchema[column] !== newGeneralSchema[column]);
+  for (const column of changed) {
+    if (oldGeneralSchema[column] === ndarrayType || newGeneralSchema[column] === ndarrayType) {
+      throw Error(`[sqlite-manager]: can't change the type of the ndarray column ${column}.`);
+    }
+  }
+
+  const oldSqliteSchema = sqliteConverter.mapSchema(oldGeneralSchema);
+  const newSqliteSchema = sqliteConverter.mapSchema(newGeneralSchema);
+  const tableExists = !_.isEmpty(oldGeneralSchema);
+  const rebuild = removed.length > 0 ||
+    changed.some((column) => oldSqliteSchema[column] !== newSqliteSchema[column]);
+  const reindex = !_.isEqual(oldUniqueIndex, schema.uniqueIndex);
+  const removedNdarrayKeys = removed.filter((column) => oldGeneralSchema[column] === ndarrayType);
+  // Dropping the table drops its indexes
+  const recreate = !tableExists || rebuild;
+  const isOldIndex = (index) => oldNonUniqueIndex.some((value) => _.isEqual(value, index));
+  const newIndexQueries = createIndexQueries.filter((query, idx) => recreate || !isOldIndex(nonUniqueIndex[idx]));
+
+  const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+  const indexName = sqliteConstants.DATABASE_TABLE_INDEX_NAME;
+  const createIndexQuery = `CREATE UNIQUE INDEX ${indexName} ON ${tableName}(${indexColumnStr})`;
+  let ndarrayRows = [];
+
+  await sqliteHelper.runInTransaction(db, async() => {
+    if (!tableExists) {
+      await db.runAsync(`CREATE TABLE ${tableName}(${makeTableColumns(newGeneralSchema)})`, []);
+    } else if (rebuild) {
+      if (removedNdarrayKeys.length) {
+        ndarrayRows = await db.allAsync(
+          `SELECT ${removedNdarrayKeys.map(sqliteConverter.escapeIdentifier).join(",")} FROM ${tableName}`, []);
+      }
+
+      // Copy the kept columns into a new table, since SQLite can't drop or change columns
+      const alteredTableName = `${tableName}_altered`;
+      const keptColumnStr = kept.map(sqliteConverter.escapeIdentifier).join(",");
+      await db.runAsync(`CREATE TABLE ${alteredTableName}(${makeTableColumns(newGeneralSchema)})`, []);
+      if (keptColumnStr !== "") {
+        await db.runAsync(
+          `INSERT INTO ${alteredTableName}(${keptColumnStr}) SELECT ${keptColumnStr} FROM ${tableName}`, []);
+      }
+      await db.runAsync(`DROP TABLE ${tableName}`, []);
+      await db.runAsync(`ALTER TABLE ${alteredTableName} RENAME TO ${tableName}`, []);
+    } else {
+      for (const column of added) {
+        await db.runAsync(`ALTER TABLE ${tableName} ADD COLUMN ${column} ${newSqliteSchema[column]}`, []);
+      }
+      if (reindex) {
+        await db.runAsync(`DROP INDEX IF EXISTS ${indexName}`, []);
+      }
+      for (const index of oldNonUniqueIndex) {
+        if (!nonUniqueIndex.some((value) => _.isEqual(value, index))) {
+          await db.runAsync(`DROP INDEX IF EXISTS ${sqliteConverter.escapeIdentifier(makeIndexName(index))}`, []);
+        }
+      }
+    }
+
+    if (indexColumnStr !== "" && (recreate || reindex)) {
+      await db.runAsync(createIndexQuery, []);
+    }
+    for (const query of newIndexQueries) {
+      await db.runAsync(query, []);
+    }
+
+    await setSchemaInfo(db, schema);
+  });
+
+  // The cached general schema is out of date
+  delete db.generalSchema;
+
+  if (removedNdarrayKeys.length) {
+    await afterCommit(db, () => sqliteNdarray.deleteNdarrayMany(db, ndarrayRows, removedNdarrayKeys));
+  }
+
+  return {added, changed, removed};
+};
+
+/**
+ * Creates a non unique index on the data table and adds it to the schema `nonUniqueIndex`.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.createIndex
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object[]} index - Array of key value pairs denoting the ascending or descending order of the columns.
+ * @returns {Promise<string>} - The name of the created index.
+ * @example <caption>index the timestamp column</caption>
+ * manager.createIndex(db, [{asc: "timestamp"}]);
+ */
+module.exports.createIndex = async function(db, index) {
+  const createIndexQuery = makeCreateIndexQuery(index);
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+  if (!infoTable.length) {
+    throw Error("[sqlite-manager]: no dataset to index.");
+  }
+  const schema = infoTable[0].schema;
+  const nonUniqueIndex = schema.nonUniqueIndex || [];
+  if (nonUniqueIndex.some((value) => _.isEqual(value, index))) {
+    throw Error(`[sqlite-manager]: index ${makeIndexName(index)} already exists.`);
+  }
+  checkIndexColumns(await module.exports.getGeneralSchema(db), index);
+
+  await sqliteHelper.runInTransaction(db, async() => {
+    await db.runAsync(createIndexQuery, []);
+    await setSchemaInfo(db, {...schema, nonUniqueIndex: nonUniqueIndex.concat([index])});
+  });
+  return makeIndexName(index);
+};
+
+/**
+ * Drops a non unique index created by `createDataset` or `createIndex`,
+ * and removes it from the schema `nonUniqueIndex`.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.dropIndex
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object[]|string} index - The index definition, as given to `createIndex`, or its name.
+ * @returns {Promise<void>}
+ * @example <caption>drop the timestamp index</caption>
+ * manager.dropIndex(db, [{asc: "timestamp"}]);
+ */
+module.exports.dropIndex = async function(db, index) {
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+  if (!infoTable.length) {
+    throw Error("[sqlite-manager]: no dataset to drop the index from.");
+  }
+  const schema = infoTable[0].schema;
+  const nonUniqueIndex = schema.nonUniqueIndex || [];
+  const indexName = typeof index === "string" ? index : makeIndexName(index);
+  const idx = nonUniqueIndex.findIndex((value) => makeIndexName(value) === indexName);
+  if (idx === -1) {
+    throw Error(`[sqlite-manager]: index ${indexName} doesn't exist.`);
+  }
+
+  await sqliteHelper.runInTransaction(db, async() => {
+    await db.runAsync(`DROP INDEX ${sqliteConverter.escapeIdentifier(indexName)}`, []);
+    await setSchemaInfo(db, {...schema, nonUniqueIndex: nonUniqueIndex.filter((value, i) => i !== idx)});
+  });
+};
+
+/**
+ * Returns the derived definition of the dataset.
+ *
+ * It is cached in the db object, like the general schema.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @returns {Promise<DerivedDefinition|null>} - The derived definition, or `null` if the dataset isn't derived.
+ */
+async function getDerived(db) {
+  if (db.derived !== undefined) {
+    return db.derived;
+  }
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["derived"]);
+  const derived = (infoTable.length && infoTable[0].derived) || null;
+  // eslint-disable-next-line require-atomic-updates
+  db.derived = derived;
+  return derived;
+}
+
+/**
+ * Returns the identity to substitute for `"@@_identity_@@"` in the filters.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} [options] - The options of the call.
+ * @param {string} [options.identity] - The identity of the call.
+ * @returns {string|undefined} - The identity of the call, or the identity given to `openDatabase()`.
+ */
+function getIdentity(db, options) {
+  return (options && options.identity !== undefined) ? options.identity : db.identity;
+}
+
+/**
+ * Validates data rows against the TDX data schema of the dataset.
+ *
+ * The uniqueIndex columns are always required.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {DataRow[]} data - The data rows to validate.
+ * @param {string} mode - `"reject"` to throw if any row is invalid, or
+ *     `"skip"` to remove the invalid rows.
+ * @param {boolean} partial - Set to `true` if the rows are partial updates.
+ * @param {number} [offset=0] - The index of the first row in the whole data, for the reported indexes.
+ * @returns {Promise<{data: DataRow[], invalid: RowValidationError[]}>} - The valid rows and the
+ *     errors of the invalid rows.
+ */
+async function validateRows(db, data, mode, partial, offset = 0) {
+  if (mode !== "reject" && mode !== "skip") {
+    throw Error(`[sqlite-manager]: validate should be "reject" or "skip". Instead got ${mode}.`);
+  }
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+  const {dataSchema, uniqueIndex} = infoTable[0].schema;
+  const required = (uniqueIndex || []).map((value) => Object.values(value)[0]);
+  const invalid = sqliteValidator.validateData(dataSchema || {}, data, {partial, required})
+    .map((report) => Object.assign(report, {index: report.index + offset}));
+  if (invalid.length && mode === "reject") {
+    throw sqliteValidator.makeValidationError(invalid);
+  }
+  const invalidIndexes = new Set(invalid.map(({index}) => index));
+  return {data: data.filter((row, index) => !invalidIndexes.has(index + offset)), invalid};
+}
+
+/**
+ * Makes the sqlite condition of a mongodb filter on the data table, to add to the WHERE clause of a query.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {object} filter - A mongodb filter object.
+ * @param {number} [offset=0] - The number of parameters before the condition in the query.
+ * @returns {{sql: string, values: any[]}|null} - The condition with `?NNN` parameters numbered after
+ *     `offset` and the values to bind to them, or `null` if the filter has no conditions.
+ */
+function makeCondition(schema, filter, offset = 0) {
+  const values = new Array(offset).fill(null);
+  const sqliteTranslation = builder.sql({
+    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
+    type: "select",
+    where: makeFilter(schema, filter),
+  }, values);
+  const clauseIdx = sqliteTranslation.query.indexOf(" where ");
+  if (clauseIdx < 0) {
+    return null;
+  }
+  return {
+    sql: sqliteHelper.toNumberedParameters(sqliteTranslation.query.slice(clauseIdx + " where ".length)),
+    values: values.slice(offset),
+  };
+}
+
+/**
+ * Checks that data rows can be written to a derived dataset.
+ *
+ * The rows must only contain the properties in the `writeProjection`, and
+ * must match the `writeFilter`. Properties missing from a row are `null`
+ * when matching the `writeFilter`, unless they are updated from an existing row.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {DataRow[]} data - The data rows to write.
+ * @param {string} [identity] - The identity to substitute in the `writeFilter`.
+ * @param {object} [update] - Set when the rows update existing rows.
+ * @param {Array<DataRow|undefined>} update.existingRows - The existing row of each data row,
+ *     converted to SQLite values, which is merged with the data row before matching the `writeFilter`.
+ * @param {boolean} update.upsert - Set to `true` if data rows without an existing row are inserted.
+ *     Otherwise they aren't written, so they aren't matched.
+ * @returns {Promise<void>} - Rejects if any row can't be written.
+ */
+async function checkDerivedWrite(db, schema, data, identity, update) {
+  const derived = await getDerived(db);
+  if (!derived) {
+    return;
+  }
+
+  data.forEach((row, rowIdx) => {
+    if (!sqliteDerived.checkWriteProjection(derived, row)) {
+      throw Error(`[sqlite-manager]: row ${rowIdx} writes properties outside of the derived writeProjection.`);
+    }
+  });
+
+  if (_.isEmpty(derived.writeFilter) || !data.length) {
+    return;
+  }
+
+  const writeFilter = makeCondition(schema, sqliteDerived.substituteIdentity(derived.writeFilter, identity));
+  if (!writeFilter) {
+    return;
+  }
+  const whereClause = writeFilter.sql;
+  const filterValues = writeFilter.values;
+  const writtenRows = data.map((row, rowIdx) => {
+    const existingRow = update && update.existingRows[rowIdx];
+    return (update && !existingRow && !update.upsert) ? null : {existingRow, row, rowIdx};
+  }).filter(Boolean);
+
+  // Match the rows as a table of VALUES, in chunks below the SQLite limit of 999 parameters
+  const rowIdxColumn = "row index";
+  // ndarray columns can't be filtered, so they aren't converted
+  const columns = Object.keys(schema).filter((column) => {
+    return schema[column] !== sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY;
+  });
+  const chunkSize = Math.max(1, Math.floor((999 - filterValues.length) / (columns.length + 1)));
+  const escapedColumns = [rowIdxColumn].concat(columns).map(sqliteConverter.escapeIdentifier);
+
+  for (const chunk of _.chunk(writtenRows, chunkSize)) {
+    const values = filterValues.slice();
+    const rowValues = chunk.map(({existingRow, row, rowIdx}) => {
+      const writtenRow = sqliteConverter.convertRowToSqlite(schema, _.pick(row, columns));
+      const sqliteRow = Object.assign({}, existingRow, writtenRow);
+      const parameters = [rowIdx].concat(columns.map((column) => {
+        return (sqliteRow[column] === undefined) ? null : sqliteRow[column];
+      })).map((value) => {
+        values.push(value);
+        return `?${values.length}`;
+      });
+      return `(${parameters.join(", ")})`;
+    });
+
+    const query = (
+      `WITH "written"(${escapedColumns.join(", ")}) AS (VALUES ${rowValues.join(", ")}) ` +
+      `SELECT ${escapedColumns[0]} FROM "written" AS "${sqliteConstants.DATABASE_DATA_TABLE_NAME}" ` +
+      `WHERE (${whereClause}) IS NOT 1 LIMIT 1`
+    );
+    const rows = await db.allAsync(query, values);
+    if (rows.length) {
+      throw Error(`[sqlite-manager]: row ${rows[0][rowIdxColumn]} doesn't match the derived writeFilter.`);
+    }
+  }
+}
+
 /**
  * Returns the general schema.
  * @function
@@ -445,17 +997,93 @@ module.exports.getGeneralSchema = async function(db) {
   return thisGeneralSchema;
 };
 
+/**
+ * Splits the data rows into batches.
+ * @param {DataRow|DataRow[]|AsyncIterable<DataRow>} data - The data rows, or an async iterable
+ *     of data rows, e.g. an object mode `Readable` stream.
+ * @param {number} [batchSize] - The number of rows in each batch. If omitted, all the rows are in one batch.
+ * @returns {AsyncIterableIterator<DataRow[]>} - The batches.
+ */
+async function* readBatches(data, batchSize) {
+  if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize > 0)) {
+    throw Error(`[sqlite-manager]: batchSize should be a positive integer. Instead got ${batchSize}.`);
+  }
+
+  if (!_.isObject(data) || !(Symbol.asyncIterator in data)) {
+    const rows = [].concat(data);
+    if (batchSize === undefined) {
+      yield rows;
+    } else {
+      yield* _.chunk(rows, batchSize);
+    }
+    return;
+  }
+
+  let batch = [];
+  for await (const row of data) {
+    batch.push(row);
+    if (batch.length === batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    yield batch;
+  }
+}
+
+/**
+ * Lists the rows that failed in a batch written with `continueOnError`.
+ * @param {RowResult[]} rowResults - The result of each written row.
+ * @param {number[]} rowIndexes - The index in the data of each written row.
+ * @returns {Array<{index: number, error: Error}>} - The failed rows.
+ */
+function getFailedRows(rowResults, rowIndexes) {
+  const failed = [];
+  rowResults.forEach((rowResult, idx) => {
+    if (rowResult.error) {
+      failed.push({error: rowResult.error, index: rowIndexes[idx]});
+    }
+  });
+  return failed;
+}
+
 /**
  * Add data to a dataset resource.
  * @function
  * @async
  * @alias module:sqlite-manager.addData
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
- * @param {DataRow|DataRow[]} data - The data to add.
+ * @param {DataRow|DataRow[]|AsyncIterable<DataRow>} data - The data to add.
  *     Must conform to the schema defined by the resource metadata.
- *     Supports creating an individual document or many documents.
+ *     Supports creating an individual document or many documents, including
+ *     an async iterable of documents, e.g. an object mode `Readable` stream.
+ *     For a derived dataset, every document must match the `writeFilter` and
+ *     only contain the properties in the `writeProjection`.
+ * @param {object} [options] - The add options.
+ * @param {string} [options.onConflict="error"] - What to do with a document that has the
+ *     primary key of an existing one: `"ignore"` skips it, `"replace"` replaces the existing
+ *     document, and `"error"` fails the batch. In a derived dataset, replacing a document
+ *     outside of the view fails the batch.
+ * @param {number} [options.batchSize] - Adds the documents in batches of `batchSize` documents,
+ *     each in its own transaction, so that only one batch is in memory. If a batch fails,
+ *     the previous batches stay added. If omitted, all the documents are added in one transaction.
+ * @param {function({count: number, rows: number})} [options.onProgress] - Called after each batch,
+ *     with the total count of rows added and the number of documents read so far.
+ * @param {string} [options.validate] - Validates the documents against the types and
+ *     required properties of the TDX `dataSchema`. `"reject"` rejects the whole batch
+ *     if any document is invalid, with the per-document errors in the `rows` property
+ *     of the error. `"skip"` only adds the valid documents.
+ * @param {boolean} [options.continueOnError=false] - Adds the documents that don't fail,
+ *     e.g. with a duplicate primary key, instead of rejecting the whole batch.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the derived
+ *     filters, instead of the identity given to `openDatabase()`.
  * @return  {Promise<object<string, int>>}
- *     - The promise with the total count of rows added.
+ *     - The promise with the total count of rows added to the database. With `options.validate`, the
+ *     `invalid` property lists the {@link RowValidationError} of each invalid document.
+ *     With `options.continueOnError`, the `failed` property lists the `{index, error}` of each
+ *     document that failed, where `index` is the index of the document in `data`.
+ *     With `options.onConflict`, the `skipped` property is the number of documents ignored as duplicates.
  * @example <caption>create an individual document</caption>
  * // returns {"count": 1} if successful
  * manager.addData(db, {lsoa: "E0000001", count: 398});
@@ -468,10 +1096,87 @@ module.exports.getGeneralSchema = async function(db) {
  * @example <caption>add a 2D ndarray</caption>
  * buffer = Buffer.alloc(23*34);
  * manager.addData(db, {id: 1, array: manager.getNdarrayMeta(buffer, "float64", [23, 34])});
+ * @example <caption>add only the valid documents</caption>
+ * // returns {count: 1, invalid: [{index: 1, errors: ["count should be a number"]}]}
+ * manager.addData(db, [
+ *  {lsoa: "E0000001", count: 398},
+ *  {lsoa: "E0000002", count: "1775"},
+ * ], {validate: "skip"});
+ * @example <caption>add the documents that don't already exist</caption>
+ * // returns {count: 1, failed: [{index: 0, error: Error("SQLITE_CONSTRAINT: ...")}]}
+ * manager.addData(db, [
+ *  {lsoa: "E0000001", count: 398},
+ *  {lsoa: "E0000003", count: 1024},
+ * ], {continueOnError: true});
+ * @example <caption>ignore the documents that were already added</caption>
+ * // returns {count: 1, skipped: 1} if E0000001 already exists
+ * manager.addData(db, [
+ *  {lsoa: "E0000001", count: 398},
+ *  {lsoa: "E0000003", count: 1024},
+ * ], {onConflict: "ignore"});
+ * @example <caption>add the documents of a stream in batches</caption>
+ * manager.addData(db, readableStream, {
+ *  batchSize: 10000,
+ *  onProgress: ({count}) => console.log(`added ${count} documents`),
+ * });
  */
-module.exports.addData = async function(db, data) {
+module.exports.addData = async function(db, data, options = {}) {
+  const onConflictModes = ["error", "ignore", "replace"];
+  if (options.onConflict !== undefined && !onConflictModes.includes(options.onConflict)) {
+    throw Error("[sqlite-manager]: onConflict should be \"ignore\", \"replace\" or \"error\". " +
+      `Instead got ${options.onConflict}.`);
+  }
   const schema = await module.exports.getGeneralSchema(db);
-  const dataToConvert = [].concat(data);
+  const invalid = [];
+  const failed = [];
+  let count = 0;
+  let skipped = 0;
+  let rows = 0;
+  for await (const batch of readBatches(data, options.batchSize)) {
+    const batchResult = await addBatch(db, schema, batch, rows, options);
+    count += batchResult.count;
+    skipped += batchResult.skipped;
+    invalid.push(...batchResult.invalid);
+    failed.push(...batchResult.failed);
+    rows += batch.length;
+    if (options.onProgress) {
+      options.onProgress({count, rows});
+    }
+  }
+
+  const result = {count};
+  if (options.validate !== undefined) {
+    result.invalid = invalid;
+  }
+  if (options.continueOnError) {
+    result.failed = failed;
+  }
+  if (options.onConflict !== undefined) {
+    result.skipped = skipped;
+  }
+  return result;
+};
+
+/**
+ * Adds a batch of data rows in one transaction.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {DataRow[]} data - The data rows of the batch.
+ * @param {number} offset - The index of the first row of the batch in the whole data.
+ * @param {object} options - The `addData` options.
+ * @returns {Promise<object>} - The `count` of rows added, the number of rows `skipped` as
+ *     duplicates, and the `invalid` and `failed` rows.
+ */
+async function addBatch(db, schema, data, offset, options) {
+  let dataToConvert = data;
+  // The index in the whole data of each row in `dataToConvert`
+  let rowIndexes = dataToConvert.map((row, index) => index + offset);
+  let invalid = [];
+  if (options.validate !== undefined) {
+    ({data: dataToConvert, invalid} = await validateRows(db, dataToConvert, options.validate, false, offset));
+    const invalidIndexes = new Set(invalid.map(({index}) => index));
+    rowIndexes = rowIndexes.filter((index) => !invalidIndexes.has(index));
+  }
 
   // remove extra columns in data that aren't in the schema
   const onlySchemaColumns = dataToConvert.map((row) => {
@@ -486,34 +1191,83 @@ module.exports.addData = async function(db, data) {
     return onlySchemaColumnRow;
   });
 
+  await checkDerivedWrite(db, schema, onlySchemaColumns, getIdentity(db, options));
+
   // Get the ndarray keys
   const ndarrayKeys = findCollectionKeys(
     schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
 
   // Save the ndarray data to file
-  let arrayProcData = onlySchemaColumns;
-  if (ndarrayKeys.length > 0) {
-    arrayProcData = await sqliteNdarray.writeNdarrayMany(
-      db, onlySchemaColumns, ndarrayKeys);
+  const {rows: arrayProcData, written} = await writeNdarrays(db, onlySchemaColumns, ndarrayKeys);
+
+  // The files are deleted if anything fails before they are committed
+  let sqlData = [];
+  let keyColumns = [];
+  let existingRows = new Map();
+  let rowResults;
+  try {
+    // convert all the data to SQLite types
+    sqlData = arrayProcData.map((row) => {
+      return sqliteConverter.convertRowToSqlite(schema, row);
+    });
+    const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+    const uniqueIndex = infoTable[0].schema.uniqueIndex;
+    keyColumns = uniqueIndex.map((column) => Object.values(column)[0]);
+
+    // set function for creating SQLite String, INSERT
+    const upsert = false;
+    const makeSqlStatementStr = (dataRowKeys) => {
+      return sqliteCreator.insertStatement(uniqueIndex, schema, dataRowKeys, upsert, options.onConflict);
+    };
+
+    // "OR REPLACE" deletes the conflicting rows, which must be in the view of a derived dataset
+    const replace = options.onConflict === "replace";
+    const viewCondition = replace ?
+      makeCondition(schema, sqliteDerived.makeWriteFilter(await getDerived(db), {}, getIdentity(db, options))) : null;
+
+    const executeOptions = {};
+    // The replaced rows reference ndarray files, read them in the same transaction
+    if (replace && (ndarrayKeys.length > 0 || viewCondition)) {
+      executeOptions.onBegin = async() => {
+        existingRows = await getExistingRows(db, keyColumns, sqlData);
+        if (viewCondition) {
+          const viewRows = await getExistingRows(db, keyColumns, sqlData, viewCondition);
+          const rowIdx = sqlData.findIndex((row) => {
+            const key = JSON.stringify(keyColumns.map((column) => row[column]));
+            return existingRows.has(key) && !viewRows.has(key);
+          });
+          if (rowIdx >= 0) {
+            throw Error(`[sqlite-manager]: row ${rowIndexes[rowIdx]} replaces a row outside of the derived view.`);
+          }
+        }
+      };
+    }
+
+    if (options.continueOnError) {
+      rowResults = await sqliteHelper.executeMany(
+        db, makeSqlStatementStr, sqlData, {...executeOptions, continueOnError: true});
+    } else {
+      // throws an error if it fails
+      const changes = await sqliteHelper.executeMany(db, makeSqlStatementStr, sqlData, executeOptions);
+      rowResults = changes.map((rowChanges) => ({changes: rowChanges}));
+    }
+  } catch (error) {
+    await sqliteNdarray.deleteNdarrayMany(db, written, ndarrayKeys);
+    throw error;
   }
 
-  // convert all the data to SQLite types
-  const sqlData = arrayProcData.map((row) => {
-    return sqliteConverter.convertRowToSqlite(schema, row);
-  });
-  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
-  const uniqueIndex = infoTable[0].schema.uniqueIndex;
+  await commitNdarrays(db, written, rowResults, ndarrayKeys);
+  const replaced = (options.onConflict === "replace") ?
+    getReplacedNdarrays(existingRows, keyColumns, ndarrayKeys, sqlData, rowResults, true) : [];
+  await afterCommit(db, () => sqliteNdarray.deleteNdarrayMany(db, replaced, ndarrayKeys));
 
-  // set function for creating SQLite String, INSERT
-  const upsert = false;
-  const makeSqlStatementStr = (dataRowKeys) => {
-    return sqliteCreator.insertStatement(uniqueIndex, schema, dataRowKeys, upsert);
+  return {
+    count: _.sumBy(rowResults, (rowResult) => rowResult.changes || 0),
+    failed: getFailedRows(rowResults, rowIndexes),
+    invalid,
+    skipped: rowResults.filter((rowResult) => rowResult.changes === 0).length,
   };
-
-  // throws an error if it fails
-  await sqliteHelper.executeMany(db, makeSqlStatementStr, sqlData);
-  return {"count": sqlData.length};
-};
+}
 
 /**
  * @deprecated use {@link getData()}
@@ -530,6 +1284,10 @@ module.exports.addData = async function(db, data) {
  *   - `true`, the resource metadata will be returned along with the dataset
  *     data. Can be used to avoid a second call to `getResource`.
  *   - `false`-y, a URL to the metadata is provided.
+ * @param  {boolean} [options.ndarrayStreams] - Set to `true` to read the ndarray data as `fs.ReadStream`s
+ *   instead of Buffers.
+ * @param  {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the filters,
+ *   instead of the identity given to `openDatabase()`.
  * @return  {Promise<DatasetData>}
  */
 module.exports.getDatasetData = function(db, filter, projection, options) {
@@ -550,9 +1308,24 @@ module.exports.getDatasetData = function(db, filter, projection, options) {
  * @param {{string: number}} [options.sort]
  *   Sorting object by schema keys:
  *    e.g. `{prop1: 1, prop2: -1}`, where `1` = ascending, `-1` = descending.
+ * @param {string} [options.after] - The `nextCursor` returned by a previous call with the same filter and sort.
+ *   Unlike `skip`, paging with a cursor doesn't slow down for deep pages and doesn't miss or repeat documents
+ *   when data is added in between calls. `null` values sort before all other values.
  * @param {boolean} [options.nqmMeta] - When set, the resource metadata will be returned along with the dataset
  * data. Can be used to avoid a second call to `getResource`. Otherwise a URL to the metadata is provided.
+ * @param {boolean} [options.ndarrayStreams] - Set to `true` to read the ndarray data as `fs.ReadStream`s
+ *   instead of Buffers, so the ndarray files aren't read into memory. The streams must be consumed or destroyed.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the filters,
+ *   instead of the identity given to `openDatabase()`.
  * @return {Promise<DatasetData>}
+ * @example <caption>read all the data, one page at a time</caption>
+ * let page = await manager.getData(db, filter, null, {sort: {timestamp: 1}});
+ * while (page.nextCursor) {
+ *   page = await manager.getData(db, filter, null, {after: page.nextCursor, sort: {timestamp: 1}});
+ * }
+ * @example <caption>use property paths inside object columns</caption>
+ * // Property paths can be used in the filter, projection and sort
+ * manager.getData(db, {"address.postcode": "SO17 1BJ"}, {"address.street": 1}, {sort: {"address.number": 1}});
  */
 module.exports.getData = function(db, filter, projection, options) {
   return getDataQuery(db, false, filter, projection, options);
@@ -577,57 +1350,490 @@ module.exports.getDistinct = function(db, key, filter) {
 };
 
 /**
- * Gets all data from the given dataset that matches the filter provided and the select provided.
+ * Performs an aggregate query on a dataset-based resource.
+ *
+ * The pipeline is compiled into a single sqlite query, so the data is never loaded into Node.js.
+ * Unlike {@link getData()}, no default `limit` is applied.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.getAggregateData
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object[]|string} pipeline - The mongodb aggregation pipeline, or its JSON string.
+ *   Supports the `$match`, `$group`, `$sort`, `$skip`, `$limit` and `$project` stages.
+ *   `$group` supports the `$sum`, `$avg`, `$min`, `$max`, `$count`, `$first` and `$last` accumulators.
+ *   A compound `$group` `_id` is returned as an object.
+ *   `$match` only supports the fields output by the previous stages, not property paths.
+ * @return {Promise<DatasetData>}
+ * @example <caption>sum the count of every lsoa</caption>
+ * manager.getAggregateData(db, [
+ *   {$match: {count: {$gt: 0}}},
+ *   {$group: {_id: "$lsoa", total: {$sum: "$count"}}},
+ *   {$sort: {total: -1}},
+ * ]);
+ */
+module.exports.getAggregateData = async function(db, pipeline) {
+  if (typeof pipeline === "string") {
+    pipeline = JSON.parse(pipeline);
+  }
+
+  const schema = await module.exports.getGeneralSchema(db);
+  const derived = await getDerived(db);
+  const {query, values, columns} = sqliteAggregate.makeAggregateQuery(
+    schema, sqliteDerived.makeAggregatePipeline(derived, pipeline, db.identity));
+
+  const rows = await db.allAsync(query, values);
+
+  const result = {
+    data: rows.map((row) => sqliteConverter.convertRowToTdx(columns, row, {dateFormat: db.dateFormat})),
+    metaData: {},
+    metaDataUrl: "",
+    nextCursor: null,
+  };
+
+  const ndarrayKeys = findCollectionKeys(columns, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+  if (ndarrayKeys.length > 0) {
+    // eslint-disable-next-line require-atomic-updates
+    result.data = await sqliteNdarray.readNdarrayMany(db, result.data, ndarrayKeys);
+  }
+
+  return result;
+};
+
+/**
+ * Streams all data from the given dataset that matches the filter provided.
+ *
+ * Unlike {@link getData()}, the rows are read one at a time from a stepped
+ * SQLite statement, so no default `limit` is applied and the whole result is
+ * never held in memory.
+ * @function
+ * @alias module:sqlite-manager.getDataStream
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
- * @param {boolean} [distinct] - Select type ("select" - 0, "select distinct" - 1).
  * @param {object} [filter] - A mongodb filter object. If omitted, all data will be retrieved.
- * @param {object} [projection] - A mongodb projection object. Should be used to restrict the payload to the
- * minimum properties needed if a lot of data is being retrieved.
- * @param {object} [options] - A mongodb options object.
- *   Can be used to limit, skip, sort etc.
+ * @param {object} [projection] - A mongodb projection object.
+ * @param {object} [options] - A mongodb options object. Can be used to limit, skip, sort etc.
  * @param {number} [options.skip] - Number of documents to skip.
- * @param {number} [options.limit=queryLimit]
- *   Limit number of documents to output. If `false`-y or above `queryLimit`,
- *   sets to `queryLimit`.
+ * @param {number} [options.limit] - Limit number of documents to output. If omitted, all documents are output.
  * @param {{string: number}} [options.sort]
  *   Sorting object by schema keys:
  *    e.g. `{prop1: 1, prop2: -1}`, where `1` = ascending, `-1` = descending.
- * @param {boolean} [options.nqmMeta] - When set, the resource metadata will be returned along with the dataset
- * data. Can be used to avoid a second call to `getResource`. Otherwise a URL to the metadata is provided.
- * @return {Promise<DatasetData | any[]>}
+ * @param {boolean} [options.ndarrayStreams] - Set to `true` to read the ndarray data as `fs.ReadStream`s
+ *   instead of Buffers, so the ndarray files aren't read into memory. The streams must be consumed or destroyed.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the filters,
+ *   instead of the identity given to `openDatabase()`.
+ * @return {stream.Readable} - An object mode stream of {@link DataRow}s.
+ *   It can also be consumed with `for await (const row of stream)`.
+ * @example <caption>iterate over all rows</caption>
+ * for await (const row of manager.getDataStream(db, {count: {$gt: 100}})) {
+ *   console.log(row);
+ * }
  */
-async function getDataQuery(db, distinct, filter, projection, options) {
+module.exports.getDataStream = function(db, filter, projection, options) {
   // Set the default values
   filter = filter || {};
   projection = projection || {};
   options = options || {};
 
-  const skip = options.skip || 0;
-  const limit = options.limit;
   const sort = options.sort || {};
+  const identity = getIdentity(db, options);
+
+  let statement;
+  let schema;
+  let derived;
+  let columnTypes;
+  let propertyPaths;
+  let ndarrayKeys;
+
+  /**
+   * Prepares the select statement, bound with the filter values.
+   * @returns {Promise<void>}
+   */
+  async function prepareStatement() {
+    schema = await module.exports.getGeneralSchema(db);
+    derived = await getDerived(db);
+    sqliteDerived.checkReadKeys(derived, filter, sort);
+    const selected = makeSelectQuery(
+      schema, false, sqliteDerived.makeReadFilter(derived, filter, identity), projection, sort);
+    const selectQuery = selected.selectQuery;
+    propertyPaths = selected.propertyPaths;
+
+    if (options.limit) {
+      selectQuery.limit = options.limit;
+    }
+    if (options.skip) {
+      // SQLite only accepts an OFFSET after a LIMIT
+      selectQuery.limit = selectQuery.limit || -1;
+      selectQuery.offset = options.skip;
+    }
 
-  const nqmMeta = options.nqmMeta || false;
+    // Nothing to read if no columns are selected
+    if (selectQuery.columns === undefined) {
+      statement = null;
+      return;
+    }
 
-  const selectQuery = {
-    distinct: distinct,
-    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
-    type: "select",
-    where: filter,
+    ndarrayKeys = findCollectionKeys(
+      _.pick(schema, selectQuery.columns), sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+    columnTypes = await getColumnTypes(db, schema, selectQuery.columns);
+    selectQuery.columns = makeColumns(schema, selectQuery.columns);
+
+    const sqliteTranslation = builder.sql(selectQuery, []);
+    await new Promise((resolve, reject) => {
+      statement = db.prepare(sqliteTranslation.query, sqliteTranslation.values, (error) => {
+        if (error) {
+          // A statement that failed to compile can't be finalized
+          statement = null;
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Reads the next row from the statement and converts it to TDX values.
+   * @returns {Promise<DataRow|null>} - The next row or `null` when finished.
+   */
+  async function readRow() {
+    if (statement === null) {
+      return null;
+    }
+
+    const row = await new Promise((resolve, reject) => {
+      statement.get((error, nextRow) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(nextRow);
+        }
+      });
+    });
+
+    if (row === undefined) {
+      await finalizeStatement();
+      return null;
+    }
+
+    const convertedRow = sqliteDerived.projectRow(
+      derived && derived.projection, convertDataRow(columnTypes, propertyPaths, row, {dateFormat: db.dateFormat}));
+    if (ndarrayKeys.length > 0) {
+      return (await sqliteNdarray.readNdarrayMany(db, [convertedRow], ndarrayKeys, !options.ndarrayStreams))[0];
+    }
+    return convertedRow;
+  }
+
+  /**
+   * Finalizes the statement, if it is still open.
+   * @returns {Promise<void>}
+   */
+  function finalizeStatement() {
+    if (!statement) {
+      return Promise.resolve();
+    }
+    const openStatement = statement;
+    statement = null;
+    return new Promise((resolve) => openStatement.finalize(() => resolve()));
+  }
+
+  return new stream.Readable({
+    destroy(error, callback) {
+      finalizeStatement().then(() => callback(error));
+    },
+    objectMode: true,
+    read() {
+      const preparedStatement = (statement === undefined) ? prepareStatement() : Promise.resolve();
+      preparedStatement
+        .then(readRow)
+        .then((row) => {
+          this.push(row);
+        })
+        .catch((error) => {
+          this.destroy(error);
+        });
+    },
+  });
+};
+
+/**
+ * Returns the columns that define the position of a row for keyset pagination.
+ *
+ * These are the sort columns followed by the uniqueIndex columns, or by the
+ * SQLite `rowid` if there is no uniqueIndex, so that every row has a unique
+ * position. The `rowid` is also used if the derived projection hides a uniqueIndex
+ * column, so that the cursor only holds values of the view.
+ * @param {UniqueIndex} uniqueIndex - The uniqueIndex of the dataset.
+ * @param {Object<string, string>} sortQuery - The columns to sort by -> `ASC` or `DESC`.
+ * @param {DerivedDefinition|null} derived - The derived definition, or `null` if the dataset isn't derived.
+ * @returns {Array<[string, string]>} - The list of column and sort type pairs.
+ */
+function makeCursorKeys(uniqueIndex, sortQuery, derived) {
+  const cursorKeys = Object.entries(sortQuery);
+  const sortColumns = new Set(Object.keys(sortQuery));
+  const sqliteSortTypes = {
+    asc: sqliteConstants.SQLITE_SORT_TYPE_ASC,
+    desc: sqliteConstants.SQLITE_SORT_TYPE_DESC,
   };
 
-  // Set the limit for the number of documents that need to be retrieved
-  selectQuery.limit = queryLimit;
-  if (limit && (limit < queryLimit || limit < 0)) {
-    // use custom limit if limit == 0
-    // MongoDB limit < 0 is different from SQLite limit < 0
-    // TODO: somehow solve this?
-    selectQuery.limit = limit;
+  let uniqueKeys = uniqueIndex.map((value) => {
+    const [sortOrder, sortKey] = Object.entries(value)[0];
+    return [sortKey, sqliteSortTypes[sortOrder]];
+  });
+  if (!uniqueKeys.length || uniqueKeys.some(([column]) => sqliteDerived.isHidden(derived, column))) {
+    uniqueKeys = [[sqliteConstants.SQLITE_ROWID_NAME, sqliteConstants.SQLITE_SORT_TYPE_ASC]];
   }
 
-  // Set the offset aka skip in mongodb
-  if (skip) {
-    selectQuery.offset = skip;
+  for (const [column, sortType] of uniqueKeys) {
+    if (!sortColumns.has(column)) {
+      cursorKeys.push([column, sortType]);
+    }
+  }
+  return cursorKeys;
+}
+
+/**
+ * Encodes the position of a row into a pagination cursor.
+ * @param {Array<[string, string]>} cursorKeys - The cursor keys from `makeCursorKeys()`.
+ * @param {DataRow} row - The sqlite row.
+ * @returns {string} - The opaque cursor string.
+ */
+function encodeCursor(cursorKeys, row) {
+  const values = cursorKeys.map(([column]) => row[column]);
+  return Buffer.from(JSON.stringify(values)).toString("base64");
+}
+
+/**
+ * Decodes a pagination cursor into a mongo-sql filter that selects the rows after it.
+ *
+ * Uses an SQLite row value comparison if all the keys are sorted the same way and none of the
+ * values are `null`. Otherwise the keys are compared one by one, with `NULL` sorting before
+ * all other values, as in SQLite.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {Array<[string, string]>} cursorKeys - The cursor keys from `makeCursorKeys()`.
+ * @param {string} cursor - The cursor from `encodeCursor()`.
+ * @returns {object} - The mongo-sql filter.
+ */
+function decodeCursor(schema, cursorKeys, cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64").toString());
+  } catch (error) {
+    values = undefined;
+  }
+  if (!Array.isArray(values) || values.length !== cursorKeys.length) {
+    throw Error(`[sqlite-manager]: invalid cursor ${cursor} for the given sort.`);
+  }
+
+  const isAscending = (idx) => cursorKeys[idx][1] === sqliteConstants.SQLITE_SORT_TYPE_ASC;
+  const columns = cursorKeys.map(([column]) => makeColumnExpression(schema, column));
+  const sortTypes = new Set(cursorKeys.map(([, sortType]) => sortType));
+  if (sortTypes.size === 1 && !values.includes(null)) {
+    const parameters = values.map((value, idx) => `$${idx + 1}`);
+    const comparison = isAscending(0) ? ">" : "<";
+    // mongo-sql strips the outer brackets of a lone condition, so add an extra pair
+    return {$custom: [`((${columns.join(", ")}) ${comparison} (${parameters.join(", ")}))`, ...values]};
+  }
+
+  const parameters = [];
+  const makeParameter = (value) => {
+    parameters.push(value);
+    return `$${parameters.length}`;
+  };
+  const makeEqual = (idx) => {
+    return (values[idx] === null) ? `${columns[idx]} IS NULL` : `${columns[idx]} = ${makeParameter(values[idx])}`;
+  };
+  const makeAfter = (idx) => {
+    if (values[idx] === null) {
+      // No value sorts after NULL in descending order
+      return isAscending(idx) ? `${columns[idx]} IS NOT NULL` : null;
+    }
+    if (isAscending(idx)) {
+      return `${columns[idx]} > ${makeParameter(values[idx])}`;
+    }
+    return `(${columns[idx]} < ${makeParameter(values[idx])} OR ${columns[idx]} IS NULL)`;
+  };
+
+  // (a > x) OR (a = x AND b < y) OR ...
+  const conditions = [];
+  for (let idx = 0; idx < cursorKeys.length; idx++) {
+    const after = makeAfter(idx);
+    if (after !== null) {
+      const previous = _.range(idx).map(makeEqual);
+      conditions.push(`(${previous.concat(after).join(" AND ")})`);
+    }
+  }
+  const condition = conditions.length ? conditions.join(" OR ") : "0";
+  return {$custom: [`((${condition}))`, ...parameters]};
+}
+
+/**
+ * Makes the sqlite expression of a column or of a property path inside an OBJECT or ARRAY column.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {string} key - The column name or property path, e.g. "address.postcode".
+ * @returns {string} - The sqlite expression.
+ */
+function makeColumnExpression(schema, key) {
+  const propertyPath = sqliteConverter.splitPropertyPath(schema, key);
+  if (propertyPath) {
+    const jsonPath = sqliteConverter.convertToSqlite(sqliteConstants.SQLITE_TYPE_TEXT, propertyPath.jsonPath);
+    return `json_extract(${sqliteConverter.escapeIdentifier(propertyPath.column)}, ${jsonPath})`;
   }
+  return `"${sqliteConstants.DATABASE_DATA_TABLE_NAME}".${sqliteConverter.escapeIdentifier(key)}`;
+}
+
+/**
+ * Translates the conditions on a property path into a mongo-sql `$custom` filter that uses `json_extract`.
+ * @param {{column: string, jsonPath: string}} propertyPath - The property path from `splitPropertyPath()`.
+ * @param {any} condition - The mongodb condition on the property path, e.g. `{$gt: 3}`.
+ * @returns {object} - The mongo-sql filter.
+ */
+function makePropertyPathFilter(propertyPath, condition) {
+  const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+  const values = [];
+  const sqliteTranslation = builder.sql({
+    table: tableName,
+    type: "select",
+    where: {[propertyPath.column]: condition},
+  }, values);
+
+  const clauseIdx = sqliteTranslation.query.indexOf(" where ");
+  if (clauseIdx < 0) {
+    return {};
+  }
+
+  // The JSON path is bound after the values of the condition
+  const jsonExtract = `json_extract("${tableName}"."${propertyPath.column}", $${values.length + 1})`;
+  const whereClause = sqliteTranslation.query.slice(clauseIdx + " where ".length)
+    .split(`"${tableName}"."${propertyPath.column}"`)
+    .join(jsonExtract);
+
+  // mongo-sql strips the outer brackets of a lone condition, so add an extra pair
+  return {$custom: [`(${whereClause})`, ...values, propertyPath.jsonPath]};
+}
+
+/**
+ * Translates the property paths inside OBJECT or ARRAY columns of a mongodb filter.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {object} filter - A mongodb filter object.
+ * @returns {object} - The mongo-sql filter.
+ */
+function makeFilter(schema, filter) {
+  if (_.isArray(filter)) {
+    return filter.map((element) => makeFilter(schema, element));
+  } else if (!_.isPlainObject(filter)) {
+    return filter;
+  }
+
+  const converted = {};
+  const propertyPathFilters = [];
+  _.forEach(filter, (value, key) => {
+    const propertyPath = sqliteConverter.splitPropertyPath(schema, key);
+    if (propertyPath) {
+      const condition = sqliteConverter.convertFilterValue(undefined, value);
+      propertyPathFilters.push(makePropertyPathFilter(propertyPath, condition));
+    } else if (key.startsWith("$")) {
+      // Logical operators, e.g. $and, $or
+      converted[key] = makeFilter(schema, value);
+    } else {
+      converted[key] = sqliteConverter.convertFilterValue(schema[key], value);
+    }
+  });
+
+  if (!propertyPathFilters.length) {
+    return converted;
+  }
+  return {$and: [converted, ...propertyPathFilters]};
+}
+
+/**
+ * Makes the mongo-sql order list of a sort query.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {Array<[string, string]>} sortKeys - The columns or property paths to sort by and
+ *     their sort types, `ASC` or `DESC`, in order.
+ * @returns {string[]} - The mongo-sql order list.
+ */
+function makeOrder(schema, sortKeys) {
+  return sortKeys.map(([key, sortType]) => `${makeColumnExpression(schema, key)} ${sortType}`);
+}
+
+/**
+ * Makes the mongo-sql column list, selecting the property paths by name.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {string[]} columns - The column names or property paths to select.
+ * @returns {string[]} - The mongo-sql column list.
+ */
+function makeColumns(schema, columns) {
+  return columns.map((column) => {
+    if (sqliteConverter.splitPropertyPath(schema, column)) {
+      return `${makeColumnExpression(schema, column)} AS ${sqliteConverter.escapeIdentifier(column)}`;
+    }
+    return column;
+  });
+}
+
+/**
+ * Returns the general sqlite types of the selected columns and property paths.
+ *
+ * The types of the property paths are read from the tdx schema.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {string[]} columns - The selected column names or property paths.
+ * @returns {Promise<Object<string, string>>} - The column names or property paths -> general sqlite types.
+ */
+async function getColumnTypes(db, schema, columns) {
+  const propertyPaths = columns.filter((column) => sqliteConverter.splitPropertyPath(schema, column));
+  if (!propertyPaths.length) {
+    return schema;
+  }
+
+  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+  const dataSchema = infoTable[0].schema.dataSchema;
+  const columnTypes = Object.assign({}, schema);
+  for (const propertyPath of propertyPaths) {
+    columnTypes[propertyPath] = sqliteConverter.getPropertyPathType(dataSchema, propertyPath);
+  }
+  return columnTypes;
+}
+
+/**
+ * Converts an sqlite data row into TDX values, nesting the selected property paths.
+ * @param {Object<string, string>} columnTypes - The column names or property paths -> general sqlite types.
+ * @param {{included: string[], excluded: string[]}} propertyPaths
+ *   The property paths selected as columns, and the property paths to remove from their columns.
+ * @param {DataRow} row - The sqlite row.
+ * @param {object} options - The `convertToTdx` options.
+ * @returns {DataRow} - The converted row.
+ */
+function convertDataRow(columnTypes, propertyPaths, row, options) {
+  const converted = sqliteConverter.convertRowToTdx(columnTypes, row, options);
+  for (const propertyPath of propertyPaths.included) {
+    const value = converted[propertyPath];
+    delete converted[propertyPath];
+    _.set(converted, propertyPath, value);
+  }
+  for (const propertyPath of propertyPaths.excluded) {
+    _.unset(converted, propertyPath);
+  }
+  return converted;
+}
+
+/**
+ * Builds the mongo-sql select query for the data table.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {boolean} distinct - Select type ("select" - 0, "select distinct" - 1).
+ * @param {object} filter - A mongodb filter object.
+ * @param {object} projection - A mongodb projection object.
+ * @param {{string: number}} sort - Sorting object by schema keys or property paths.
+ * @returns {{selectQuery: object, includedColumns: string[], propertyPaths: object, sortQuery: object}}
+ *   The mongo-sql query object, the list of explicitly included columns and property paths,
+ *   the included and excluded property paths and the columns to sort by -> `ASC` or `DESC`.
+ */
+function makeSelectQuery(schema, distinct, filter, projection, sort) {
+  const selectQuery = {
+    distinct: distinct,
+    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
+    type: "select",
+    where: makeFilter(schema, filter),
+  };
 
   // Set the sort order (ascending or descending)
   const sortQuery = {};
@@ -640,13 +1846,13 @@ async function getDataQuery(db, distinct, filter, projection, options) {
   });
 
   if (!_.isEmpty(sortQuery)) {
-    selectQuery.order = sortQuery;
+    selectQuery.order = makeOrder(schema, Object.entries(sortQuery));
   }
 
   // Set the projection columns
-  const schema = await module.exports.getGeneralSchema(db);
   const excludedColumns = Object.keys(schema);
   const includedColumns = [];
+  const propertyPaths = {excluded: [], included: []};
   _.forEach(projection, (value, key) => {
     if (key in schema) {
       if (value) {
@@ -657,6 +1863,13 @@ async function getDataQuery(db, distinct, filter, projection, options) {
           excludedColumns.splice(keyIdx, 1);
         }
       }
+    } else if (sqliteConverter.splitPropertyPath(schema, key)) {
+      if (value) {
+        includedColumns.push(key);
+        propertyPaths.included.push(key);
+      } else {
+        propertyPaths.excluded.push(key);
+      }
     }
   });
 
@@ -666,7 +1879,92 @@ async function getDataQuery(db, distinct, filter, projection, options) {
     selectQuery.columns = excludedColumns;
   }
 
+  return {includedColumns, propertyPaths, selectQuery, sortQuery};
+}
+
+/**
+ * Gets all data from the given dataset that matches the filter provided and the select provided.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {boolean} [distinct] - Select type ("select" - 0, "select distinct" - 1).
+ * @param {object} [filter] - A mongodb filter object. If omitted, all data will be retrieved.
+ * @param {object} [projection] - A mongodb projection object. Should be used to restrict the payload to the
+ * minimum properties needed if a lot of data is being retrieved.
+ * @param {object} [options] - A mongodb options object.
+ *   Can be used to limit, skip, sort etc.
+ * @param {number} [options.skip] - Number of documents to skip.
+ * @param {number} [options.limit=queryLimit]
+ *   Limit number of documents to output. If `false`-y or above `queryLimit`,
+ *   sets to `queryLimit`.
+ * @param {{string: number}} [options.sort]
+ *   Sorting object by schema keys:
+ *    e.g. `{prop1: 1, prop2: -1}`, where `1` = ascending, `-1` = descending.
+ * @param {string} [options.after] - The `nextCursor` of a previous page, only when not distinct.
+ * @param {boolean} [options.nqmMeta] - When set, the resource metadata will be returned along with the dataset
+ * data. Can be used to avoid a second call to `getResource`. Otherwise a URL to the metadata is provided.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the filters.
+ * @return {Promise<DatasetData | any[]>}
+ */
+async function getDataQuery(db, distinct, filter, projection, options) {
+  // Set the default values
+  filter = filter || {};
+  projection = projection || {};
+  options = options || {};
+
+  const skip = options.skip || 0;
+  const limit = options.limit;
+  const sort = options.sort || {};
+
+  const after = options.after;
+  const nqmMeta = options.nqmMeta || false;
+  const identity = getIdentity(db, options);
+
+  const schema = await module.exports.getGeneralSchema(db);
+  const derived = await getDerived(db);
+  sqliteDerived.checkReadKeys(derived, filter, sort);
+  const {selectQuery, includedColumns, propertyPaths, sortQuery} = makeSelectQuery(
+    schema, distinct, sqliteDerived.makeReadFilter(derived, filter, identity), projection, sort);
+
+  // Set the limit for the number of documents that need to be retrieved
+  selectQuery.limit = queryLimit;
+  if (limit && (limit < queryLimit || limit < 0)) {
+    // use custom limit if limit == 0
+    // MongoDB limit < 0 is different from SQLite limit < 0
+    // TODO: somehow solve this?
+    selectQuery.limit = limit;
+  }
+
+  // Set the offset aka skip in mongodb
+  if (skip) {
+    selectQuery.offset = skip;
+  }
+
+  // Order by the cursor keys so that every row has a unique position
+  let cursorKeys = [];
+  const cursorOnlyColumns = [];
+  if (distinct === false && selectQuery.columns) {
+    const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+    cursorKeys = makeCursorKeys(infoTable[0].schema.uniqueIndex, sortQuery, derived);
+    // Keep the keys as pairs, as objects reorder integer-like keys
+    selectQuery.order = makeOrder(schema, cursorKeys);
+
+    if (after) {
+      selectQuery.where = {$and: [selectQuery.where, makeFilter(schema, decodeCursor(schema, cursorKeys, after))]};
+    }
+
+    // Select the cursor keys that aren't in the projection, to be removed later
+    for (const [column] of cursorKeys) {
+      if (!selectQuery.columns.includes(column)) {
+        cursorOnlyColumns.push(column);
+      }
+    }
+    selectQuery.columns = selectQuery.columns.concat(cursorOnlyColumns);
+  }
+
   const distinctKey = includedColumns[0] || "";
+  const columnTypes = await getColumnTypes(db, schema, selectQuery.columns || []);
+  if (selectQuery.columns) {
+    selectQuery.columns = makeColumns(schema, selectQuery.columns);
+  }
   const sqliteTranslation = builder.sql(selectQuery, []);
 
   // Set the return value
@@ -677,6 +1975,7 @@ async function getDataQuery(db, distinct, filter, projection, options) {
       data: [],
       metaData: {},
       metaDataUrl: "",
+      nextCursor: null,
     };
 
     if (nqmMeta) {
@@ -705,28 +2004,37 @@ async function getDataQuery(db, distinct, filter, projection, options) {
   // Read the sqlite data
   const rows = await db.allAsync(sqliteTranslation.query, sqliteTranslation.values);
 
-  // Check if there's an object or array type in the generalSchema object
+  if (distinct === false) {
+    // A full page means there may be more rows after the last one
+    if (rows.length && rows.length === selectQuery.limit) {
+      result.nextCursor = encodeCursor(cursorKeys, rows[rows.length - 1]);
+    }
+    for (const row of rows) {
+      for (const column of cursorOnlyColumns) {
+        delete row[column];
+      }
+    }
+  }
+
+  // Check if there's an object, array, date or boolean type in the generalSchema object
   // Convert each element of the rows
-  // Becomes slow if one of the types is object or array
-  if (_.includes(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY) ||
-      _.includes(schema, sqliteConstants.SQLITE_GENERAL_TYPE_OBJECT) ||
-      _.includes(schema, sqliteConstants.SQLITE_GENERAL_TYPE_ARRAY)
+  // Becomes slow if one of the types is object, array, date or boolean
+  if (_.includes(columnTypes, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY) ||
+      _.includes(columnTypes, sqliteConstants.SQLITE_GENERAL_TYPE_OBJECT) ||
+      _.includes(columnTypes, sqliteConstants.SQLITE_GENERAL_TYPE_ARRAY) ||
+      _.includes(columnTypes, sqliteConstants.SQLITE_GENERAL_TYPE_DATE) ||
+      _.includes(columnTypes, sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN)
   ) {
     // Check if it's not select distinct
     if (distinct === false) {
       _.forEach(rows, (row) => {
-        const convertedRow = {};
-
-        _.forEach(row, (value, key) => {
-          convertedRow[key] = sqliteConverter.convertToTdx(schema[key], value);
-        });
-
-        result.data.push(convertedRow);
+        result.data.push(convertDataRow(columnTypes, propertyPaths, row, {dateFormat: db.dateFormat}));
       });
     } else {
       // const key = includedColumns[0];
       _.forEach(rows, (row) => {
-        result.push(sqliteConverter.convertToTdx(schema[distinctKey], row[distinctKey]));
+        result.push(sqliteConverter.convertToTdx(
+          columnTypes[distinctKey], row[distinctKey], {dateFormat: db.dateFormat}));
       });
     }
   } else {
@@ -741,6 +2049,15 @@ async function getDataQuery(db, distinct, filter, projection, options) {
     }
   }
 
+  // Apply the read projection of a derived dataset
+  if (derived && !_.isEmpty(derived.projection)) {
+    if (distinct === false) {
+      result.data = result.data.map((row) => sqliteDerived.projectRow(derived.projection, row));
+    } else {
+      result = sqliteDerived.projectValues(derived, distinctKey, result);
+    }
+  }
+
   // Read the ndarray files
   // Distinct is not implemented for ndarrays
   if (distinct === false) {
@@ -748,146 +2065,460 @@ async function getDataQuery(db, distinct, filter, projection, options) {
     const ndarrayKeys = findCollectionKeys(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
     if (ndarrayKeys.length > 0) {
     // eslint-disable-next-line require-atomic-updates
-      result.data = await sqliteNdarray.readNdarrayMany(db, result.data, ndarrayKeys);
+      result.data = await sqliteNdarray.readNdarrayMany(db, result.data, ndarrayKeys, !options.ndarrayStreams);
     }
   }
 
   return result;
 }
 
+/**
+ * Gets the existing rows with the primary keys of the given rows.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {string[]} keyColumns - The uniqueIndex columns.
+ * @param {DataRow[]} sqlData - The rows, converted to SQLite values.
+ * @param {{sql: string, values: any[]}|null} [condition] - The condition from `makeCondition`
+ *     that the existing rows must also match.
+ * @returns {Promise<Map<string, DataRow>>} - The existing rows, by the JSON of their primary key values.
+ */
+async function getExistingRows(db, keyColumns, sqlData, condition = null) {
+  const makeKey = (row) => JSON.stringify(keyColumns.map((column) => row[column]));
+  const keys = _.uniq(sqlData
+    .filter((row) => keyColumns.every((column) => row[column] !== undefined))
+    .map(makeKey));
+  const existingRows = new Map();
+  if (keyColumns.length === 0) {
+    return existingRows;
+  }
+
+  const keyColumnsStr = keyColumns.map(sqliteConverter.escapeIdentifier).join(", ");
+  const rowValuesStr = `(${keyColumns.map(() => "?").join(", ")})`;
+  // The condition parameters are numbered first, and the key parameters after them
+  const conditionStr = condition ? `(${condition.sql}) AND ` : "";
+  const conditionValues = condition ? condition.values : [];
+  // Stay below the SQLite limit of 999 bound parameters
+  const chunkSize = Math.max(1, Math.floor((999 - conditionValues.length) / keyColumns.length));
+  for (const chunk of _.chunk(keys, chunkSize)) {
+    const query = `SELECT * FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME} ` +
+      `WHERE ${conditionStr}(${keyColumnsStr}) IN (VALUES ${chunk.map(() => rowValuesStr).join(", ")});`;
+    const rows = await db.allAsync(query, conditionValues.concat(_.flatMap(chunk, JSON.parse)));
+    for (const row of rows) {
+      existingRows.set(makeKey(row), row);
+    }
+  }
+  return existingRows;
+}
+
+/**
+ * Writes the ndarray files of the rows that have ndarray data, at their temporary names.
+ *
+ * Unlike `sqliteNdarray.writeNdarrayMany`, the rows can omit ndarray columns, or
+ * reference the existing file of an ndarray with metadata without `data`.
+ * The files must be renamed with `commitNdarrays` once the rows are written.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {DataRow[]} rows - The data rows.
+ * @param {string[]} ndarrayKeys - The ndarray columns.
+ * @returns {Promise<{rows: DataRow[], written: object[]}>} - The rows with the ndarray metadata,
+ *     and the metadata of the newly written ndarrays of each row.
+ */
+async function writeNdarrays(db, rows, ndarrayKeys) {
+  const result = {rows: [], written: []};
+  try {
+    for (const row of rows) {
+      const keys = ndarrayKeys.filter((key) => _.has(row[key], "data"));
+      const newRow = keys.length ? (await sqliteNdarray.writeNdarrayMany(db, [row], keys, {temporary: true}))[0] : row;
+      result.rows.push(newRow);
+      result.written.push(_.pick(newRow, keys));
+    }
+  } catch (error) {
+    await sqliteNdarray.deleteNdarrayMany(db, result.written, ndarrayKeys);
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Renames the temporary ndarray files of the written rows once they are committed.
+ *
+ * The files of the rows that failed, or weren't written, are deleted, and so are all
+ * the files if the user transaction of a transaction handle rolls back.
+ * @param {object} db - The sqlite3 db object, or a transaction handle.
+ * @param {object[]} written - The metadata of the newly written ndarrays of each row, from `writeNdarrays`.
+ * @param {RowResult[]} rowResults - The result of each written row.
+ * @param {string[]} ndarrayKeys - The ndarray columns.
+ * @returns {Promise<void>}
+ */
+async function commitNdarrays(db, written, rowResults, ndarrayKeys) {
+  const committed = written.filter((row, index) => rowResults[index].changes);
+  const unreferenced = written.filter((row, index) => !rowResults[index].changes);
+  await sqliteNdarray.deleteNdarrayMany(db, unreferenced, ndarrayKeys);
+  onRollback(db, () => sqliteNdarray.deleteNdarrayMany(db, written, ndarrayKeys));
+  await afterCommit(db, () => sqliteNdarray.commitNdarrayMany(db, committed, ndarrayKeys));
+}
+
+/**
+ * Lists the ndarray metadata replaced by written rows, whose files are no longer referenced.
+ * @param {Map<string, DataRow>} existingRows - The rows before the write, from `getExistingRows`.
+ *     Updated in place with the written rows.
+ * @param {string[]} keyColumns - The uniqueIndex columns.
+ * @param {string[]} ndarrayKeys - The ndarray columns.
+ * @param {DataRow[]} sqlData - The written rows, converted to SQLite values.
+ * @param {RowResult[]} rowResults - The result of each written row.
+ * @param {boolean} replacesRow - Set to `true` if the written rows replace whole rows, rather than
+ *     only their given columns.
+ * @returns {object[]} - The replaced ndarray metadata, by column.
+ */
+function getReplacedNdarrays(existingRows, keyColumns, ndarrayKeys, sqlData, rowResults, replacesRow) {
+  const replaced = [];
+  // Without a primary key, rows are never replaced
+  if (keyColumns.length === 0 || ndarrayKeys.length === 0) {
+    return replaced;
+  }
+  rowResults.forEach((rowResult, index) => {
+    if (!rowResult.changes) {
+      return;
+    }
+    const sqlRow = sqlData[index];
+    const existingKey = JSON.stringify(keyColumns.map((column) => sqlRow[column]));
+    const existingRow = existingRows.get(existingKey);
+    if (existingRow) {
+      const replacedRow = {};
+      for (const key of ndarrayKeys) {
+        if (!existingRow[key] || (!replacesRow && sqlRow[key] === undefined)) {
+          continue;
+        }
+        const oldMeta = JSON.parse(existingRow[key]);
+        const newMeta = sqlRow[key] && JSON.parse(sqlRow[key]);
+        if (oldMeta && (!newMeta || oldMeta.p !== newMeta.p)) {
+          replacedRow[key] = oldMeta;
+        }
+      }
+      replaced.push(replacedRow);
+    }
+    // Later rows with the same primary key replace this row
+    existingRows.set(existingKey, replacesRow ? sqlRow : Object.assign({}, existingRow, sqlRow));
+  });
+  return replaced;
+}
+
+/**
+ * Gets the status of a written row.
+ * @param {DataRow} [existingRow] - The row before the write, converted to SQLite values.
+ * @param {DataRow} sqlRow - The written row, converted to SQLite values.
+ * @param {number} changes - The number of rows changed by the write.
+ * @returns {string} - `"inserted"`, `"updated"` or `"unchanged"`.
+ */
+function getCommitStatus(existingRow, sqlRow, changes) {
+  if (changes === 0) {
+    return "unchanged";
+  } else if (existingRow === undefined) {
+    return "inserted";
+  }
+  const isUnchanged = Object.keys(sqlRow).every((column) => _.isEqual(existingRow[column], sqlRow[column]));
+  return isUnchanged ? "unchanged" : "updated";
+}
+
 /**
  * Updates data in a dataset resource.
+ *
+ * The ndarray data of the rows is written to new files, and the files of the
+ * replaced ndarrays are removed once the update commits.
  * @alias module:sqlite-manager.updateData
  * @async
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
- * @param {DataRow|DataRow[]} data - The data to update.
+ * @param {DataRow|DataRow[]|AsyncIterable<DataRow>} data - The data to update.
  *     Must conform to the schema defined by the resource metadata.
- *     Supports updating individual or multiple rows.
+ *     Supports updating individual or multiple rows, including an async
+ *     iterable of rows, e.g. an object mode `Readable` stream.
+ *     For a derived dataset, every row must only contain the properties in the
+ *     `writeProjection`, and must match the `writeFilter` once merged with the row it updates.
+ *     Existing rows that don't match the `filter` and `writeFilter` aren't updated.
  * @param {boolean} [upsert=false] - Indicates the data should be created if no
  *     document/row is found matching the primary key.
  * @param {boolean} [throws=true] - Indicates whether this function should reject
  *     if there is an error. The TDX-API doesn't, as it returns a field which
  *     states if there has been an error.
+ * @param {object} [options] - The update options.
+ * @param {string} [options.validate] - Validates the rows against the TDX `dataSchema`,
+ *     as in `addData`. Without `upsert`, only the uniqueIndex properties are required.
+ *     With `"skip"`, the invalid rows aren't updated and the validation error is added
+ *     to `result.errors`.
+ * @param {boolean} [options.continueOnError=false] - Writes the rows that don't fail,
+ *     instead of rolling back the whole batch. The error of each failed row is added
+ *     to `result.errors`, and the command still succeeds.
+ * @param {number} [options.batchSize] - Updates the rows in batches of `batchSize` rows,
+ *     each in its own transaction, as in `addData`. If a batch fails, the previous batches
+ *     stay updated and are reported in `result.commit`, and the following rows aren't read.
+ * @param {function({count: number, rows: number})} [options.onProgress] - Called after each batch,
+ *     with the total count of rows written and the number of rows read so far.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the derived
+ *     filters, instead of the identity given to `openDatabase()`.
  * @returns {Promise<CommandResult>} - Use the result property to check for
- *     errors.
+ *     errors. `result.count` is the number of rows inserted or updated, so rows
+ *     that didn't match the primary key of an existing row aren't counted without `upsert`.
+ *     `result.commit` has the {@link CommitResult} of each row, in the order of `data`.
+ *     A row is `"unchanged"` if it already had the given values or, without `upsert`,
+ *     if no row has its primary key. Rows that failed, or were skipped by `options.validate`,
+ *     have an `error` instead of a `status`.
+ * @example <caption>find out which row failed</caption>
+ * const result = await manager.updateData(db, rows, true, false);
+ * // e.g. [{index: 0, key: {lsoa: "E0000001"}, status: "updated"},
+ * //   {index: 1, key: {lsoa: "E0000002"}, error: Error("SQLITE_CONSTRAINT: ...")}]
+ * result.result.commit;
  */
 module.exports.updateData = async function(
-  db, data, upsert = false, throws = true) {
+  db, data, upsert = false, throws = true, options = {}) {
   // See https://www.sqlite.org/lang_UPSERT.html for more info.
 
   const schema = await module.exports.getGeneralSchema(db);
-  const dataToConvert = [].concat(data);
-  const sqlData = dataToConvert.map((row) => {
-    return sqliteConverter.convertRowToSqlite(schema, row);
-  });
+  const commandResult = await makeEmptyCommandResult();
+  const commit = [];
+  const errors = [];
+  let count = 0;
+  let rows = 0;
+  let batchError;
+  try {
+    for await (const batch of readBatches(data, options.batchSize)) {
+      const batchResult = await updateBatch(db, schema, batch, rows, upsert, options);
+      commit.push(...batchResult.commit);
+      errors.push(...batchResult.errors);
+      count += batchResult.count;
+      rows += batch.length;
+      if (batchResult.error) {
+        // The previous batches stay committed
+        batchError = batchResult.error;
+        break;
+      }
+      if (options.onProgress) {
+        options.onProgress({count, rows});
+      }
+    }
+  } catch (error) {
+    batchError = error;
+  }
+
+  commandResult.result.commit = commit;
+  commandResult.result.count = count;
+  commandResult.result.errors.push(...errors);
+  if (batchError) {
+    if (throws) {
+      throw batchError;
+    }
+    commandResult.result.errors.push(batchError);
+    return commandResult;
+  }
+  commandResult.response = "Success";
+  return commandResult;
+};
+
+/**
+ * Updates a batch of data rows in one transaction.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} schema - The general schema of the dataset.
+ * @param {DataRow[]} rows - The data rows of the batch.
+ * @param {number} offset - The index of the first row of the batch in the whole data.
+ * @param {boolean} upsert - Set to `true` to insert the rows that don't exist.
+ * @param {object} options - The `updateData` options.
+ * @returns {Promise<object>} - The `commit` results and the `count` of the batch, the row `errors`
+ *     that didn't fail the batch, and the `error` that failed the batch, if any.
+ */
+async function updateBatch(db, schema, rows, offset, upsert, options) {
   const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
   const uniqueIndex = infoTable[0].schema.uniqueIndex;
+  const keyColumns = uniqueIndex.map((column) => Object.values(column)[0]);
+  const commit = [];
+  const errors = [];
+
+  let dataToConvert = rows;
+  // The index in the whole data of each row in `dataToConvert`
+  let rowIndexes = rows.map((row, index) => index + offset);
+  if (options.validate !== undefined) {
+    try {
+      const validated = await validateRows(db, dataToConvert, options.validate, !upsert, offset);
+      // eslint-disable-next-line require-atomic-updates
+      dataToConvert = validated.data;
+      if (validated.invalid.length) {
+        errors.push(sqliteValidator.makeValidationError(validated.invalid));
+        for (const report of validated.invalid) {
+          const error = sqliteValidator.makeValidationError([report]);
+          commit.push({error, index: report.index, key: pick(rows[report.index - offset], keyColumns)});
+        }
+        const invalidIndexes = new Set(validated.invalid.map(({index}) => index));
+        rowIndexes = rowIndexes.filter((index) => !invalidIndexes.has(index));
+      }
+    } catch (error) {
+      return {commit: [], count: 0, error, errors: []};
+    }
+  }
+  const ndarrayKeys = findCollectionKeys(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+  // Only the rows in the view of a derived dataset can be updated
+  const identity = getIdentity(db, options);
+  const viewFilter = sqliteDerived.makeWriteFilter(await getDerived(db), {}, identity);
+  const viewCondition = makeCondition(schema, viewFilter);
+  const makeViewCondition = (dataRowKeys) => {
+    return viewCondition ? makeCondition(schema, viewFilter, dataRowKeys.length).sql : undefined;
+  };
 
   // set function for creating SQLite String, either INSERT/UPDATE
   let makeSqlStatementStr = (dataRowKeys) => {
-    return sqliteCreator.updateStatement(uniqueIndex, schema, dataRowKeys);
+    return sqliteCreator.updateStatement(uniqueIndex, schema, dataRowKeys, makeViewCondition(dataRowKeys));
   };
   if (upsert) {
     makeSqlStatementStr = (dataRowKeys) => {
       return sqliteCreator.insertStatement(
-        uniqueIndex, schema, dataRowKeys, upsert);
+        uniqueIndex, schema, dataRowKeys, upsert, "error", makeViewCondition(dataRowKeys));
     };
   }
+  let existingRows = new Map();
+  const executeOptions = {
+    // The rows outside of the view are left unchanged, as if they didn't exist
+    onBegin: async() => {
+      existingRows = await getExistingRows(db, keyColumns, sqlData, viewCondition);
+      await checkDerivedWrite(db, schema, dataToConvert, identity, {
+        existingRows: sqlData.map((row) => existingRows.get(JSON.stringify(keyColumns.map((column) => row[column])))),
+        upsert,
+      });
+    },
+    values: viewCondition ? viewCondition.values : [],
+  };
 
-  const promisedResult = sqliteHelper.executeMany(db, makeSqlStatementStr,
-    sqlData);
-
-  const commandResult = await makeEmptyCommandResult();
+  let results;
+  let batchError;
+  let written = [];
+  let sqlData = [];
   try {
-    await promisedResult;
-  } catch (error) {
-    if (throws) {
-      throw error;
+    // Save the ndarray data to file
+    const ndarrayData = await writeNdarrays(db, dataToConvert, ndarrayKeys);
+    written = ndarrayData.written;
+    sqlData = ndarrayData.rows.map((row) => {
+      return sqliteConverter.convertRowToSqlite(schema, row);
+    });
+    if (options.continueOnError) {
+      results = await sqliteHelper.executeMany(
+        db, makeSqlStatementStr, sqlData, {...executeOptions, continueOnError: true});
     } else {
-      commandResult.result.errors.push(error);
-      return commandResult;
+      const changes = await sqliteHelper.executeMany(db, makeSqlStatementStr, sqlData, executeOptions);
+      results = changes.map((rowChanges) => ({changes: rowChanges}));
     }
+  } catch (error) {
+    batchError = error;
+    // If a row failed, the other rows were rolled back
+    results = error.results || [];
+  }
+
+  if (batchError) {
+    await sqliteNdarray.deleteNdarrayMany(db, written, ndarrayKeys);
+  } else {
+    await commitNdarrays(db, written, results, ndarrayKeys);
+    const replaced = getReplacedNdarrays(new Map(existingRows), keyColumns, ndarrayKeys, sqlData, results, false);
+    await afterCommit(db, () => sqliteNdarray.deleteNdarrayMany(db, replaced, ndarrayKeys));
   }
-  commandResult.response = "Success";
-  return commandResult;
-};
+
+  results.forEach((result, idx) => {
+    const index = rowIndexes[idx];
+    const key = pick(rows[index - offset], keyColumns);
+    if (result.error) {
+      commit.push({error: result.error, index, key});
+      return;
+    }
+    const sqlRow = sqlData[idx];
+    const existingKey = JSON.stringify(keyColumns.map((column) => sqlRow[column]));
+    const existingRow = existingRows.get(existingKey);
+    commit.push({index, key, status: getCommitStatus(existingRow, sqlRow, result.changes)});
+    if (result.changes) {
+      // Later rows with the same primary key see this row
+      existingRows.set(existingKey, Object.assign({}, existingRow, sqlRow));
+    }
+  });
+
+  if (options.continueOnError) {
+    errors.push(...results.filter((result) => result.error).map((result) => result.error));
+  }
+  return {
+    commit: _.sortBy(commit, "index"),
+    count: _.sumBy(results, (result) => result.changes || 0),
+    error: batchError,
+    errors,
+  };
+}
 
 /**
  * Updates data in a dataset-based resource using a query to specify the documents to be updated.
+ * @async
  * @alias module:sqlite-manager.updateDataByQuery
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
  * @param {object} query - The query that specifies the data to update. All documents matching the
  * query will be updated.
- * @param {object} update - The update object with field data to be replaced.
+ * @param {object} update - The mongodb update document. Supports the `$set`, `$unset`, `$inc`,
+ * `$mul`, `$min`, `$max`, `$push` (for ARRAY columns and property paths) and `$currentDate` operators,
+ * on columns or property paths inside OBJECT and ARRAY columns.
+ * An update object without operators replaces the given fields.
+ * For a derived dataset, only the rows that match the `filter` and `writeFilter` are updated,
+ * the update must only write the properties in the `writeProjection`, and the updated rows
+ * must still match the `writeFilter`.
+ * @param {object} [options] - The update options.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the derived
+ *     filters, instead of the identity given to `openDatabase()`.
  * @return  {Promise<object>}
- *    The promise with the total count of rows updated.
+ *    The promise with the total count of rows updated. The update runs in a transaction.
  * @example <caption>updates multiple documents</caption>
  * // Update all documents with English lsoa, setting `count` to 1000.
  * manager.updateDataByQuery(db, {lsoa: {$regex: "E*"}}, {count: 1000});
+ * @example <caption>increment a count and record the time of the update</caption>
+ * manager.updateDataByQuery(db, {lsoa: "E0000001"}, {$inc: {count: 1}, $currentDate: {updated: true}});
  */
-module.exports.updateDataByQuery = function(db, query, update) {
+module.exports.updateDataByQuery = async function(db, query, update, options = {}) {
   let whereClause = "";
 
   // Set the default values
   query = query || {};
   update = update || {};
 
-  const updateQuery = {
-    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
-    type: "update",
-    updates: update,
-    where: query,
-  };
-
-  const countQuery = {
-    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
-    type: "select",
-    where: query,
-  };
-
   // Return early if update is empty
   if (_.isEmpty(update)) {
-    return Promise.resolve({count: 0});
+    return {count: 0};
   }
 
-  // Built the count and update queries using the filter
-  const sqliteUpdateTranslation = builder.sql(updateQuery, []);
-
-  // Built the count and update queries using the filter
-  const sqliteCountTranslation = builder.sql(countQuery, []);
-
-  // Copy the where clause if exists
-  const clauseIdx = sqliteCountTranslation.query.indexOf("where");
-  if (clauseIdx >= 0) {
-    whereClause = ` ${sqliteCountTranslation.query.slice(clauseIdx)}`;
+  const schema = await module.exports.getGeneralSchema(db);
+  const derived = await getDerived(db);
+  if (!sqliteDerived.checkUpdateProjection(derived, update)) {
+    throw Error("[sqlite-manager]: the update writes properties outside of the derived writeProjection.");
   }
+  sqliteDerived.checkReadKeys(derived, query);
 
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      let result = {};
-
-      // Count the total number of rows in the dataset for a given query
-      db.get(
-        `SELECT Count(*) AS count FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME}${whereClause};`,
-        sqliteCountTranslation.values,
-        (error, row) => {
-          if (error) {
-            reject(error);
-          } else {
-            result = row;
-          }
-        },
-      );
+  // Only the rows in the view of a derived dataset are updated
+  const identity = getIdentity(db, options);
+  const condition = makeCondition(schema, sqliteDerived.makeWriteFilter(derived, query, identity));
+  if (condition) {
+    whereClause = ` WHERE ${condition.sql}`;
+  }
 
-      db.run(`${sqliteUpdateTranslation.query};`, sqliteUpdateTranslation.values, (error) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      });
+  // The update parameters are numbered after the where clause parameters
+  const updateValues = condition ? condition.values.slice() : [];
+  const expressions = sqliteUpdate.makeUpdateExpressions(schema, update, updateValues);
+  const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+  const updateQuery = `UPDATE ${tableName} SET ${sqliteUpdate.makeUpdateAssignments(expressions)}${whereClause};`;
+
+  // The updated rows must still match the writeFilter
+  const writeFilter = derived && !_.isEmpty(derived.writeFilter) &&
+    makeCondition(schema, sqliteDerived.substituteIdentity(derived.writeFilter, identity), updateValues.length);
+  let checkQuery;
+  if (writeFilter) {
+    const updatedColumns = Object.keys(schema).map((column) => {
+      const escapedColumn = sqliteConverter.escapeIdentifier(column);
+      return (column in expressions) ? `${expressions[column]} AS ${escapedColumn}` : escapedColumn;
     });
+    checkQuery = `SELECT 1 FROM (SELECT ${updatedColumns.join(", ")} FROM ${tableName}${whereClause}) ` +
+      `AS "${tableName}" WHERE (${writeFilter.sql}) IS NOT 1 LIMIT 1;`;
+  }
+
+  const count = await sqliteHelper.runInTransaction(db, async() => {
+    if (checkQuery && (await db.allAsync(checkQuery, updateValues.concat(writeFilter.values))).length) {
+      throw Error("[sqlite-manager]: the updated rows don't match the derived writeFilter.");
+    }
+    return sqliteHelper.runChanges(db, updateQuery, updateValues);
   });
+  return {count};
 };
 
 
@@ -895,99 +2526,228 @@ module.exports.updateDataByQuery = function(db, query, update) {
  * Truncates the dataset resource.
  * @function
  * @alias module:sqlite-manager.truncateResource
+ * @async
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
  * @return  {object} - The promise with the total count of rows deleted.
  */
-module.exports.truncateResource = function(db) {
-  let sqlResult = {};
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Count the total number of rows in the dataset
-      db.get(`SELECT Count(*) AS count FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME};`, [], (error, row) => {
-        if (error) {
-          reject(error);
-        } else {
-          sqlResult = row;
-        }
-      });
+module.exports.truncateResource = async function(db) {
+  if (db.transaction) {
+    // VACUUM can't run inside the user transaction, and the ndarray files
+    // of rows added later in the transaction must be kept
+    const {count} = await module.exports.deleteDataByQuery(db, {});
+    return {count};
+  }
 
-      db.run(`DELETE FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME};`, [], (error) => {
-        if (error) {
-          reject(error);
-        }
-      });
+  const deleteQuery = `DELETE FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME};`;
+  const count = await sqliteHelper.runInTransaction(db, () => sqliteHelper.runChanges(db, deleteQuery, []));
 
-      db.run("VACUUM;", [], (error) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
-  })
-    .then(() => {
-    // Delete the ndarray data (not the folder)
-      const datFiles = path.join(db.dataFolder, `*${sqliteConstants.DATABASE_DATA_SUFFIX}`);
-      return del.sync(datFiles, {force: true});
-    })
-    .then(() => {
-      return Promise.resolve(sqlResult);
-    });
+  // VACUUM can't run inside a transaction
+  await db.runAsync("VACUUM;", []);
+
+  // Delete the ndarray data (not the folder)
+  const datFiles = path.join(db.dataFolder, `*${sqliteConstants.DATABASE_DATA_SUFFIX}`);
+  del.sync(datFiles, {force: true});
+  return {count};
 };
 
 /**
  * Deletes data from a dataset-based resource.
+ *
+ * The ndarray files referenced by the deleted documents are removed once the deletion commits.
+ * For a derived dataset, only the rows that match the `filter` and `writeFilter` are deleted.
  * @function
  * @async
  * @alias module:sqlite-manager.deleteData
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
  * @param  {DataRow|DataRow[]} data - The primary key data to delete.
- * @param  {boolean} [doNotThrow=false]
- *    set to override default error handling.
+ * @param  {boolean} [doNotThrow=false] - Resolves with a {@link CommandResult}
+ *    instead of rejecting if there is an error, as the TDX-API does.
+ * @param {object} [options] - The delete options.
+ * @param {boolean} [options.continueOnError=false] - Deletes the rows that don't fail,
+ *    instead of rolling back the whole batch.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the derived
+ *    filters, instead of the identity given to `openDatabase()`.
+ * @return {Promise<object|CommandResult>} - The promise with the total count of rows deleted.
+ *    Primary keys that don't match any row aren't counted.
+ *    With `options.continueOnError`, the `failed` property lists the `{index, error}`
+ *    of each row that failed.
+ *    With `doNotThrow`, the {@link CommandResult} has the count in `result.count`, the errors
+ *    in `result.errors`, and the {@link CommitResult} of each row in `result.commit`,
+ *    with the status `"deleted"`, or `"unchanged"` if no row has its primary key.
+ * @example <caption>collect the errors instead of rejecting</caption>
+ * const result = await manager.deleteData(db, [{lsoa: "E0000001"}, {count: 10}], true);
+ * // e.g. [Error("Given dataRowKeys does not contain all columns that are in uniqueIndex. ...")]
+ * result.result.errors;
  */
-module.exports.deleteData = async function(db, data, doNotThrow) {
-  if (doNotThrow) {
-    throw Error(
-      "doNotThrow is currently unimplemented, just try/catch your code");
+module.exports.deleteData = async function(db, data, doNotThrow = false, options = {}) {
+  const rows = [].concat(data); // make sure data is an array
+  let keyColumns = [];
+  let results = [];
+  let batchError;
+  try {
+    const schema = await module.exports.getGeneralSchema(db);
+    const sqlData = rows.map((row) => {
+      return sqliteConverter.convertRowToSqlite(schema, row);
+    });
+    const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+    const uniqueIndex = infoTable[0].schema.uniqueIndex;
+    if (uniqueIndex.length === 0) {
+      throw Error("Cannot use deleteData() on a dataset with no uniqueIndex." +
+        " Try using deleteDataByQuery() instead.");
+    }
+    keyColumns = uniqueIndex.map((column) => Object.values(column)[0]);
+
+    // Only the rows in the view of a derived dataset can be deleted
+    const viewFilter = sqliteDerived.makeWriteFilter(await getDerived(db), {}, getIdentity(db, options));
+    const viewCondition = makeCondition(schema, viewFilter);
+
+    // set function for creating SQLite Delete String
+    const makeSqlStatementStr = (dataRowKeys) => {
+      const condition = viewCondition ? makeCondition(schema, viewFilter, dataRowKeys.length).sql : undefined;
+      return sqliteCreator.deleteStatement(uniqueIndex, dataRowKeys, condition);
+    };
+    const executeOptions = {values: viewCondition ? viewCondition.values : []};
+
+    // The deleted rows reference ndarray files, read them in the same transaction
+    const ndarrayKeys = findCollectionKeys(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+    let existingRows = new Map();
+    if (ndarrayKeys.length) {
+      executeOptions.onBegin = async() => {
+        existingRows = await getExistingRows(db, keyColumns, sqlData, viewCondition);
+      };
+    }
+
+    if (options.continueOnError) {
+      results = await sqliteHelper.executeMany(
+        db, makeSqlStatementStr, sqlData, {...executeOptions, continueOnError: true});
+    } else {
+      const changes = await sqliteHelper.executeMany(db, makeSqlStatementStr, sqlData, executeOptions);
+      results = changes.map((rowChanges) => ({changes: rowChanges}));
+    }
+
+    const deletedRows = _.compact(results.map((result, index) => {
+      const existingKey = JSON.stringify(keyColumns.map((column) => sqlData[index][column]));
+      return result.changes ? existingRows.get(existingKey) : null;
+    }));
+    await afterCommit(db, () => sqliteNdarray.deleteNdarrayMany(db, deletedRows, ndarrayKeys));
+  } catch (error) {
+    if (!doNotThrow) {
+      throw error;
+    }
+    batchError = error;
+    // If a row failed, the other rows were rolled back
+    results = error.results || [];
   }
-  const schema = await module.exports.getGeneralSchema(db);
-  const dataToConvert = [].concat(data); // make sure data is an array
-  const sqlData = dataToConvert.map((row) => {
-    return sqliteConverter.convertRowToSqlite(schema, row);
+
+  const count = _.sumBy(results, (result) => result.changes || 0);
+  if (!doNotThrow) {
+    if (options.continueOnError) {
+      return {count, failed: getFailedRows(results, results.map((result, index) => index))};
+    }
+    return {count};
+  }
+
+  const commandResult = await makeEmptyCommandResult();
+  commandResult.result.count = count;
+  commandResult.result.commit = results.map((result, index) => {
+    const key = pick(rows[index], keyColumns);
+    if (result.error) {
+      return {error: result.error, index, key};
+    }
+    return {index, key, status: result.changes ? "deleted" : "unchanged"};
   });
-  const infoTable = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
-  const uniqueIndex = infoTable[0].schema.uniqueIndex;
-  if (uniqueIndex.length === 0) {
-    throw Error("Cannot use deleteData() on a dataset with no uniqueIndex." +
-      " Try using deleteDataByQuery() instead.");
+  if (batchError) {
+    commandResult.result.errors.push(batchError);
+    return commandResult;
   }
+  commandResult.result.errors.push(...results.filter((result) => result.error).map((result) => result.error));
+  commandResult.response = "Success";
+  return commandResult;
+};
+
+/**
+ * Deletes data from a dataset-based resource using a query to specify the documents to be deleted.
+ *
+ * The ndarray files referenced by the deleted documents are removed as well.
+ * For a derived dataset, only the rows that match the `filter` and `writeFilter` are deleted.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.deleteDataByQuery
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} [filter] - A mongodb filter object. All documents matching the filter will be deleted.
+ *     If omitted, all data will be deleted.
+ * @param {object} [options] - The delete options.
+ * @param {string} [options.identity] - The identity to substitute for `"@@_identity_@@"` in the derived
+ *     filters, instead of the identity given to `openDatabase()`.
+ * @return {Promise<object>} - The promise with the total count of rows deleted.
+ * @example <caption>deletes multiple documents</caption>
+ * // Delete all documents with a count lower than 100.
+ * manager.deleteDataByQuery(db, {count: {$lt: 100}});
+ */
+module.exports.deleteDataByQuery = async function(db, filter, options = {}) {
+  const schema = await module.exports.getGeneralSchema(db);
+  const derived = await getDerived(db);
+  sqliteDerived.checkReadKeys(derived, filter);
+  // Only the rows in the view of a derived dataset are deleted
+  filter = sqliteDerived.makeWriteFilter(derived, filter || {}, getIdentity(db, options));
 
-  // set function for creating SQLite Delete String
-  const makeSqlStatementStr = (dataRowKeys) => {
-    return sqliteCreator.deleteStatement(uniqueIndex, dataRowKeys);
+  const ndarrayKeys = findCollectionKeys(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+
+  const deleteQuery = {
+    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
+    type: "delete",
+    where: makeFilter(schema, filter),
+  };
+
+  const ndarrayQuery = {
+    columns: ndarrayKeys,
+    table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
+    type: "select",
+    where: makeFilter(schema, filter),
   };
 
-  await sqliteHelper.executeMany(db, makeSqlStatementStr, sqlData);
+  const sqliteDeleteTranslation = builder.sql(deleteQuery, []);
+  const sqliteNdarrayTranslation = builder.sql(ndarrayQuery, []);
+
+  const {count, ndarrayRows} = await sqliteHelper.runInTransaction(db, async() => {
+    // Retrieve the ndarray files referenced by the rows to be deleted
+    let rows = [];
+    if (ndarrayKeys.length > 0) {
+      rows = await db.allAsync(`${sqliteNdarrayTranslation.query};`, sqliteNdarrayTranslation.values);
+    }
+    const changes = await sqliteHelper.runChanges(
+      db, `${sqliteDeleteTranslation.query};`, sqliteDeleteTranslation.values);
+    return {count: changes, ndarrayRows: rows};
+  });
+
+  if (ndarrayKeys.length > 0) {
+    await afterCommit(db, () => sqliteNdarray.deleteNdarrayMany(db, ndarrayRows, ndarrayKeys));
+  }
+
+  return {count};
 };
 
 /**
  * Gets a count of the data in a dataset-based resource, after applying the given filter.
  * @function
+ * @async
  * @alias module:sqlite-manager.getDatasetDataCount
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
  * @param {object} filter
  *   An optional mongodb filter to apply before counting the data.
  * @return  {object} - The promise with the total count of rows.
  */
-module.exports.getDatasetDataCount = function(db, filter) {
+module.exports.getDatasetDataCount = async function(db, filter) {
   let whereClause = "";
   filter = filter || {};
 
+  const schema = await module.exports.getGeneralSchema(db);
+  const derived = await getDerived(db);
+  sqliteDerived.checkReadKeys(derived, filter);
   const countQuery = {
     table: sqliteConstants.DATABASE_DATA_TABLE_NAME,
     type: "select",
-    where: filter,
+    where: makeFilter(schema, sqliteDerived.makeReadFilter(derived, filter, db.identity)),
   };
 
   // Build the count query using the filter
@@ -1011,14 +2771,15 @@ module.exports.getDatasetDataCount = function(db, filter) {
  * @alias module:sqlite-manager.getResource
  * @param  {object} db - The sqlite3 db object from module node-sqlite3.
  * @param  {boolean} [noThrow=false] - If set, the call won't reject or throw if the resource doesn't exist.
- * @return  {Promise<Resource>}
+ * @return  {Promise<Resource|null>} - The resource, or `null` with `noThrow` if the database
+ *     has no info table.
  * @exception  Will throw/reject if the resource is not found (see `noThrow` flag) or permission is denied.
  */
-module.exports.getResource = async function(db, noThrow) {
+module.exports.getResource = async function(db, noThrow = false) {
   const keysToDisplayKeys = sqliteConstants.INFO_TABLE_KEYS_TO_TDX_RESOURCE_KEYS;
 
-  if (noThrow) {
-    throw Error("noThrow is currently unimplemented, just try/catch your code");
+  if (noThrow && !(await sqliteInfoTable.checkInfoTable(db))) {
+    return null;
   }
   const infoKeys = await sqliteInfoTable.getInfoKeys(
     db,
@@ -1040,6 +2801,196 @@ module.exports.getResource = async function(db, noThrow) {
   return resource;
 };
 
+/**
+ * Makes the handle of a user transaction.
+ *
+ * The handle forwards everything to the db object, except for the transaction
+ * state and the queue of the transactions inside it.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} transaction - The transaction state.
+ * @returns {object} - The transaction handle.
+ */
+function makeTransactionHandle(db, transaction) {
+  const handleProperties = {transaction, transactionQueue: undefined};
+  return new Proxy(db, {
+    get(target, property) {
+      if (property in handleProperties) {
+        return handleProperties[property];
+      }
+      const value = Reflect.get(target, property);
+      // The node-sqlite3 methods only work on the db object itself
+      return (typeof value === "function") ? value.bind(target) : value;
+    },
+    set(target, property, value) {
+      if (property in handleProperties) {
+        handleProperties[property] = value;
+      } else {
+        target[property] = value;
+      }
+      return true;
+    },
+  });
+}
+
+/**
+ * Runs a function in a transaction that spans multiple manager calls.
+ *
+ * The manager calls made with the transaction handle `tx` share one SQLite
+ * transaction, which is rolled back if `callback` rejects. Calling
+ * `withTransaction` with `tx` nests a transaction with an SQLite SAVEPOINT.
+ *
+ * The ndarray files written in a rolled back transaction are deleted, and
+ * the ndarray files of deleted rows are only deleted once the outermost
+ * transaction commits.
+ *
+ * Other calls with `db` wait for the transaction to finish, so don't `await`
+ * them in `callback`. Likewise, use the handle of the innermost transaction.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.withTransaction
+ * @param {object} db - The sqlite3 db object from module node-sqlite3, or a transaction handle.
+ * @param {function(object): Promise<any>} callback - The function that runs the
+ *     manager calls with the transaction handle `tx`.
+ * @returns {Promise<any>} - The value returned by `callback`.
+ * @example <caption>replace rows and update the metadata atomically</caption>
+ * await manager.withTransaction(db, async(tx) => {
+ *   await manager.deleteDataByQuery(tx, {lsoa: {$regex: "E*"}});
+ *   await manager.addData(tx, rows);
+ *   await manager.alterDataset(tx, schema);
+ * });
+ */
+module.exports.withTransaction = async function(db, callback) {
+  const parent = db.transaction;
+  const transaction = {
+    db: parent ? parent.db : db,
+    onCommit: [],
+    onRollback: [],
+    parent,
+  };
+  const tx = makeTransactionHandle(transaction.db, transaction);
+
+  let result;
+  try {
+    result = await sqliteHelper.runInTransaction(db, () => callback(tx));
+  } catch (error) {
+    // The cached general schema may be out of date
+    delete transaction.db.generalSchema;
+    for (const hook of transaction.onRollback) {
+      await hook();
+    }
+    throw error;
+  }
+
+  if (parent) {
+    // The changes are only final once the parent transaction commits
+    parent.onCommit.push(...transaction.onCommit);
+    parent.onRollback.push(...transaction.onRollback);
+  } else {
+    for (const hook of transaction.onCommit) {
+      await hook();
+    }
+  }
+  return result;
+};
+
+/**
+ * Checks the ndarray files in the data folder against the ndarray columns of the rows.
+ *
+ * The data folder of memory databases is shared, so their orphan files aren't reported.
+ * Repairing should only run when no data is being written, as the files of a write
+ * are created before its rows.
+ * @function
+ * @async
+ * @alias module:sqlite-manager.checkNdarrayStore
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} [options] - The check options.
+ * @param {boolean} [options.repair=false] - Deletes the orphan files, renames the uncommitted files,
+ *     and sets the references to missing files to `null`.
+ * @returns {Promise<NdarrayStoreReport>} - The inconsistencies found, before any repair.
+ * @example <caption>clean up after a crash</caption>
+ * // e.g. {orphans: ["AQcJAgQ...dat"], missing: [{column: "image", p: "AQcJBgY...dat", rowid: 12}], ...}
+ * const report = await manager.checkNdarrayStore(db, {repair: true});
+ */
+module.exports.checkNdarrayStore = async function(db, options = {}) {
+  const schema = await module.exports.getGeneralSchema(db);
+  const ndarrayKeys = findCollectionKeys(schema, sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY);
+  const fileTypes = [sqliteConstants.DATABASE_PATH_TYPE_FILE, sqliteConstants.DATABASE_PATH_TYPE_ZIP];
+  const report = {mismatched: [], missing: [], orphans: [], uncommitted: []};
+  const referenced = new Set();
+
+  if (ndarrayKeys.length > 0) {
+    const columnsStr = ndarrayKeys.map(sqliteConverter.escapeIdentifier).join(", ");
+    const rows = await db.allAsync(
+      `SELECT ${sqliteConstants.SQLITE_ROWID_NAME}, ${columnsStr} FROM ${sqliteConstants.DATABASE_DATA_TABLE_NAME};`,
+      []);
+    for (const row of rows) {
+      for (const column of ndarrayKeys) {
+        const meta = row[column] && JSON.parse(row[column]);
+        if (!meta || !fileTypes.includes(meta.v) || !meta.p) {
+          continue;
+        }
+        const filePath = path.resolve(db.dataFolder, meta.p);
+        const reference = {column, p: meta.p, rowid: row[sqliteConstants.SQLITE_ROWID_NAME]};
+        referenced.add(filePath);
+
+        let stats;
+        try {
+          stats = await stat(filePath);
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+          // The process may have stopped before renaming the file of a committed row
+          stats = await stat(filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX).catch(() => null);
+          if (!stats) {
+            report.missing.push(reference);
+            continue;
+          }
+          report.uncommitted.push(reference);
+        }
+        // The size of a zip file depends on the compression
+        const expectedSize = sqliteNdarray.getTypedBufferSize(meta.t || "=B", meta.s || [0]);
+        if (meta.v === sqliteConstants.DATABASE_PATH_TYPE_FILE && stats.size !== expectedSize) {
+          report.mismatched.push(Object.assign(reference, {expectedSize, size: stats.size}));
+        }
+      }
+    }
+  }
+
+  if (db.filename !== sqliteConstants.DATABASE_MEMORY_MODE) {
+    const fileNames = await readdir(db.dataFolder);
+    const tempSuffix = sqliteConstants.DATABASE_DATA_TMP_SUFFIX;
+    report.orphans.push(...fileNames.filter((fileName) => {
+      // The temporary files of rows that were never committed
+      if (fileName.endsWith(sqliteConstants.DATABASE_DATA_SUFFIX + tempSuffix)) {
+        const finalPath = path.resolve(db.dataFolder, fileName.slice(0, -tempSuffix.length));
+        return !referenced.has(finalPath) || fs.existsSync(finalPath);
+      }
+      return fileName.endsWith(sqliteConstants.DATABASE_DATA_SUFFIX) &&
+        !referenced.has(path.resolve(db.dataFolder, fileName));
+    }));
+  }
+
+  if (options.repair) {
+    for (const fileName of report.orphans) {
+      await unlink(path.join(db.dataFolder, fileName));
+    }
+    for (const {p} of report.uncommitted) {
+      const filePath = path.resolve(db.dataFolder, p);
+      await rename(filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX, filePath);
+    }
+    await sqliteHelper.runInTransaction(db, async() => {
+      for (const {column, rowid} of report.missing) {
+        await db.runAsync(
+          `UPDATE ${sqliteConstants.DATABASE_DATA_TABLE_NAME} SET ${sqliteConverter.escapeIdentifier(column)} = NULL ` +
+          `WHERE ${sqliteConstants.SQLITE_ROWID_NAME} = ?;`, [rowid]);
+      }
+    });
+  }
+
+  return report;
+};
+
 /**
  * Returns the ndarray metadata
  * @function
@@ -1049,7 +3000,8 @@ module.exports.getResource = async function(db, noThrow) {
  * @param {string} [dtype] - The data type is of type `NDARRAY_DTYPES`.
  * @param {array} [shape] - The shape of the data.
  * @param {boolean} [major] - The data major (true - row-major, false - column-major).
- * @param {string} [ftype] - The ndarray file type is of type `NDARRAY_FTYPES`.
+ * @param {string} [ftype] - The ndarray file type is of type `NDARRAY_FTYPES`:
+ *     `"raw"` (default) for a file, `"zip"` for a deflated file, or `"b64"` to store small ndarrays inline.
  * @returns {object} - The ndarray metadata.
  */
 module.exports.getNdarrayMeta = sqliteNdarray.getNdarrayMeta;
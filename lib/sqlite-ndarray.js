@@ -16,8 +16,15 @@ const fs = require("fs");
 const os = require("os");
 const path = require("path");
 const shortid = require("shortid");
+const stream = require("stream");
+const util = require("util");
+const zlib = require("zlib");
 const sqliteConstants = require("./sqlite-constants.js");
 
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const pipeline = util.promisify(stream.pipeline);
+
 /**
  * @global
  * @typedef  {object} NdarrayData
@@ -36,6 +43,90 @@ function getEndianness() {
   return (os.endianness() === "BE") ? ">" : "<";
 }
 
+/**
+ * Returns the path of the file that stores an ndarray.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} meta - The ndarray metadata.
+ * @returns {string} - The absolute path if `meta.p` is absolute, otherwise the path in the db data folder.
+ */
+function getNdarrayFilePath(db, meta) {
+  if (path.isAbsolute(meta.p)) {
+    return meta.p;
+  }
+  return path.join(db.dataFolder, meta.p);
+}
+
+/**
+ * Syncs a directory to disk, so that the files renamed in it survive a crash.
+ * @param {string} dirPath - The path of the directory.
+ */
+function syncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, "r");
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Some platforms, e.g. Windows, can't open or sync directories
+    if (!["EISDIR", "EPERM", "EINVAL"].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Returns the path of the file to read an ndarray from.
+ *
+ * A file whose row was committed, but that wasn't renamed from its temporary name, is read
+ * from the temporary file.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} meta - The ndarray metadata.
+ * @returns {string} - The path of the file.
+ */
+function getReadableFilePath(db, meta) {
+  const filePath = getNdarrayFilePath(db, meta);
+  const tempPath = filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX;
+  return (!fs.existsSync(filePath) && fs.existsSync(tempPath)) ? tempPath : filePath;
+}
+
+/**
+ * Lists the ndarray metadata of documents that reference files.
+ * @param {object[]} data - A list of the data rows with ndarray metadata.
+ *     The metadata can be an object or its JSON string, as stored in sqlite.
+ * @param {string|string[]} key - The key(s) representing the ndarray(s).
+ * @returns {object[]} - The ndarray metadata.
+ */
+function getFileMetas(data, key) {
+  const metas = [];
+  for (const dataRow of data) {
+    for (const keyValue of [].concat(key)) {
+      let meta = dataRow[keyValue];
+      if (typeof meta === "string") {
+        meta = JSON.parse(meta);
+      }
+
+      // Skip the entries that don't reference a file
+      if (!_.isEmpty(meta) && hasNdarrayFile(meta)) {
+        metas.push(meta);
+      }
+    }
+  }
+  return metas;
+}
+
+/**
+ * Checks if ndarray metadata references a file.
+ * @param {object} meta - The ndarray metadata.
+ * @returns {boolean} - `true` for raw and zip ndarrays, which are stored in files.
+ */
+function hasNdarrayFile(meta) {
+  const fileTypes = [sqliteConstants.DATABASE_PATH_TYPE_FILE, sqliteConstants.DATABASE_PATH_TYPE_ZIP];
+  return fileTypes.includes(meta.v) && Boolean(meta.p);
+}
+
 /**
  * Returns the buffer size in bytes from a numpy type.
  * @function
@@ -114,7 +205,8 @@ module.exports.getTypedArrayFromBuffer = function(buffer, dtype) {
  * @param {string} [dtype] - The data type is of type `NDARRAY_DTYPES`.
  * @param {array} [shape] - The shape of the data.
  * @param {boolean} [major] - The data major (true - row-major, false - column-major).
- * @param {string} [ftype] - The ndarray file type is of type `NDARRAY_FTYPES`.
+ * @param {string} [ftype] - The ndarray file type is of type `NDARRAY_FTYPES`:
+ *     `"raw"` (default) for a file, `"zip"` for a deflated file, or `"b64"` to store small ndarrays inline.
  * @returns {object} - The ndarray metadata.
  */
 module.exports.getNdarrayMeta = function(data, dtype, shape, major, ftype) {
@@ -186,17 +278,22 @@ module.exports.getNdarrayMeta = function(data, dtype, shape, major, ftype) {
   meta.t = numpyType;
   meta.s = shape;
   switch (ftype) {
-    case sqliteConstants.NDARRAY_FTYPES.raw:
-    case sqliteConstants.NDARRAY_DTYPES.b64:
-    case sqliteConstants.NDARRAY_DTYPES.zip:
-      meta.v = "f";
+    case sqliteConstants.NDARRAY_FTYPES.b64:
+      meta.v = sqliteConstants.DATABASE_PATH_TYPE_BASE64;
       break;
+    case sqliteConstants.NDARRAY_FTYPES.zip:
+      meta.v = sqliteConstants.DATABASE_PATH_TYPE_ZIP;
+      break;
+    case sqliteConstants.NDARRAY_FTYPES.raw:
     default:
-      meta.v = "f";
+      meta.v = sqliteConstants.DATABASE_PATH_TYPE_FILE;
   }
 
   meta.c = major;
-  meta.p = fileName;
+  // Base64 ndarrays are stored inline, in the `d` property
+  if (meta.v !== sqliteConstants.DATABASE_PATH_TYPE_BASE64) {
+    meta.p = fileName;
+  }
 
   return meta;
 };
@@ -258,9 +355,13 @@ module.exports.getNdarrayData = function(data, meta) {
   }
 
   switch (meta.v) {
-    case "f":
-      ndData.ftype = sqliteConstants.NDARRAY_FTYPES.raw;
+    case sqliteConstants.DATABASE_PATH_TYPE_BASE64:
+      ndData.ftype = sqliteConstants.NDARRAY_FTYPES.b64;
       break;
+    case sqliteConstants.DATABASE_PATH_TYPE_ZIP:
+      ndData.ftype = sqliteConstants.NDARRAY_FTYPES.zip;
+      break;
+    case sqliteConstants.DATABASE_PATH_TYPE_FILE:
     default:
       ndData.ftype = sqliteConstants.NDARRAY_FTYPES.raw;
   }
@@ -268,21 +369,95 @@ module.exports.getNdarrayData = function(data, meta) {
   return ndData;
 };
 
+/**
+ * Returns the shape of a written ndarray.
+ *
+ * If the shape of the ndarray is unknown, i.e. `[0]`, it is the 1D shape of the written bytes.
+ * @param {object} meta - The ndarray metadata.
+ * @param {number} bytesWritten - The number of (uncompressed) bytes written.
+ * @returns {number[]} - The shape of the ndarray.
+ */
+function getWrittenShape(meta, bytesWritten) {
+  const itemSize = module.exports.getTypedBufferSize(meta.t, [1]);
+  if (module.exports.getTypedBufferSize(meta.t, meta.s) === 0 && bytesWritten % itemSize === 0) {
+    return [bytesWritten / itemSize];
+  } else if (bytesWritten !== module.exports.getTypedBufferSize(meta.t, meta.s)) {
+    throw Error(`Metadata size different to file size for ${JSON.stringify(_.omit(meta, "data"))} while write`);
+  }
+  return meta.s;
+}
+
+/**
+ * Reads a whole stream into a Buffer.
+ * @param {stream.Readable} readable - The stream of Buffers.
+ * @returns {Promise<Buffer>} - The concatenated data.
+ */
+async function readStreamBuffer(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Pipes an ndarray data stream into a file.
+ * @param {string} filePath - The path of the file, which mustn't exist.
+ * @param {object} meta - The ndarray metadata, with the `data` stream.
+ * @param {boolean} compress - Set to `true` to deflate the data.
+ * @returns {Promise<number[]>} - The shape of the written ndarray.
+ */
+async function writeNdarrayStream(filePath, meta, compress) {
+  const fileStream = fs.createWriteStream(filePath, {flags: "wx"});
+  const deflate = compress ? zlib.createDeflate() : null;
+  try {
+    await pipeline(...[meta.data, deflate, fileStream].filter(Boolean));
+    // The deflate stream counts the bytes before compression
+    const shape = getWrittenShape(meta, compress ? deflate.bytesWritten : fileStream.bytesWritten);
+    const fd = fs.openSync(filePath, "r+");
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return shape;
+  } catch (error) {
+    // Don't leave a partially written file, unless the file already existed
+    if (error.code !== "EEXIST") {
+      await unlink(filePath).catch(() => {});
+    }
+    throw error;
+  }
+}
+
 /**
  * Write ndarray documents to files.
+ *
+ * The ndarray data can be a Buffer, or a Readable stream that is piped into the file,
+ * so that it is never held in memory. Zip ndarrays are deflated, and base64 ndarrays
+ * are stored inline in the metadata instead of in a file.
+ *
+ * Each file is written to a temporary name and synced to disk before it is renamed,
+ * so a crash never leaves a partially written file with the name of an ndarray.
+ * If writing any ndarray fails, the files already written by the call are deleted.
  * @function
  * @alias module:sqlite-ndarray.writeNdarrayMany
  * @async
  * @param {object} db - The sqlite3 db object from module node-sqlite3.
  * @param {object[]} data - A list of all the data rows to write to file.
  * @param {string|string[]} key - The key(s) representing the ndarray(s).
+ * @param {object} [options] - The write options.
+ * @param {boolean} [options.temporary=false] - Keeps the files at their temporary names, until
+ *     they are renamed with `commitNdarrayMany` once their rows are committed.
  * @returns {Promise<object[]>} - The modified data list with ndarray metadata.
  */
-module.exports.writeNdarrayMany = function(db, data, key) {
-  return new Promise((resolve, reject) => {
-    const retData = [];
-    const dataKeys = [].concat(key);
+module.exports.writeNdarrayMany = async function(db, data, key, options = {}) {
+  const retData = [];
+  const dataKeys = [].concat(key);
 
+  // The files written before a failure are deleted, as their rows aren't returned
+  const writtenPaths = [];
+  try {
     // Iterate over documents
     for (const dataRow of data) {
       const newRow = _.omit(dataRow, dataKeys);
@@ -291,34 +466,90 @@ module.exports.writeNdarrayMany = function(db, data, key) {
       for (const keyValue of dataKeys) {
         const meta = dataRow[keyValue];
         newRow[keyValue] = _.omit(meta, "data");
+        const isStream = meta.data instanceof stream.Readable;
+
+        if (meta.v === sqliteConstants.DATABASE_PATH_TYPE_BASE64) {
+          const buffer = isStream ? await readStreamBuffer(meta.data) : meta.data;
+          newRow[keyValue].s = getWrittenShape(meta, buffer.length);
+          newRow[keyValue].d = buffer.toString("base64");
+          continue;
+        }
 
         // Save data to file
         const filePath = path.join(db.dataFolder, meta.p);
-        try {
+        const tempPath = filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX;
+        if (fs.existsSync(filePath)) {
+          throw Error(`The ndarray file ${filePath} already exists`);
+        }
+        const compress = meta.v === sqliteConstants.DATABASE_PATH_TYPE_ZIP;
+        if (isStream) {
+          newRow[keyValue].s = await writeNdarrayStream(tempPath, meta, compress);
+        } else {
           let bytesWritten;
+          const fileData = (compress && meta.data instanceof Buffer) ? zlib.deflateSync(meta.data) : meta.data;
           // Write to file using the sync method
-          if (meta.data instanceof Buffer) {
-            const fd = fs.openSync(filePath, "wx");
-            bytesWritten = fs.writeSync(fd, meta.data, 0, meta.data.length);
-            fs.closeSync(fd);
+          if (fileData instanceof Buffer) {
+            const fd = fs.openSync(tempPath, "wx");
+            try {
+              bytesWritten = fs.writeSync(fd, fileData, 0, fileData.length);
+              fs.fsyncSync(fd);
+            } finally {
+              fs.closeSync(fd);
+            }
           }
 
           // Check if what's written is consistent with metadata
-          if (bytesWritten !== meta.data.length) {
-            reject(Error(`Metadata size different to file size for ${JSON.stringify(meta)} while write`));
+          if (bytesWritten !== fileData.length) {
+            await unlink(tempPath).catch(() => {});
+            throw Error(`Metadata size different to file size for ${JSON.stringify(meta)} while write`);
           }
-        } catch (error) {
-          reject(error);
+        }
+
+        if (options.temporary) {
+          writtenPaths.push(tempPath);
+        } else {
+          fs.renameSync(tempPath, filePath);
+          writtenPaths.push(filePath);
         }
       }
       // Save to the new list
       retData.push(newRow);
     }
+  } catch (error) {
+    for (const writtenPath of writtenPaths) {
+      await unlink(writtenPath).catch(() => {});
+    }
+    throw error;
+  }
 
-    resolve(retData);
-  });
+  return retData;
 };
 
+/**
+ * Decodes a zip or base64 ndarray.
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object} meta - The ndarray metadata.
+ * @param {number} bufferSize - The size of the decoded ndarray in bytes.
+ * @param {boolean} type - The return type (true - Buffer, false - Stream).
+ * @returns {Buffer|stream.Readable} - The decoded ndarray data.
+ */
+function decodeNdarray(db, meta, bufferSize, type) {
+  if (meta.v === sqliteConstants.DATABASE_PATH_TYPE_ZIP && type === false) {
+    return stream.pipeline(fs.createReadStream(getReadableFilePath(db, meta)), zlib.createInflate(), _.noop);
+  }
+
+  const buffer = (meta.v === sqliteConstants.DATABASE_PATH_TYPE_BASE64) ?
+    Buffer.from(meta.d || "", "base64") :
+    zlib.inflateSync(fs.readFileSync(getReadableFilePath(db, meta)));
+  if (buffer.length !== bufferSize) {
+    throw Error(`Metadata size different to decoded size for ${JSON.stringify(meta)} while read`);
+  }
+  if (type === false) {
+    return new stream.PassThrough().end(buffer);
+  }
+  return buffer;
+}
+
 /**
  * Read ndarray documents from files.
  * @function
@@ -328,6 +559,8 @@ module.exports.writeNdarrayMany = function(db, data, key) {
  * @param {object[]} data - A list of all the data rows to read from files.
  * @param {string|string[]} key - The key(s) representing the ndarray(s).
  * @param {boolean} [type] - The return type (true - Buffer, false - Stream), default is true.
+ *     Streams are `fs.ReadStream`s of the raw ndarray files, so the files aren't read into memory.
+ *     Zip and base64 ndarrays are decoded.
  * @returns {Promise<object[]>} - The modified data list with ndarray objects.
  */
 module.exports.readNdarrayMany = function(db, data, key, type) {
@@ -366,26 +599,42 @@ module.exports.readNdarrayMany = function(db, data, key, type) {
 
         meta.s = meta.s || [0];
 
-        if (meta.v !== sqliteConstants.DATABASE_PATH_TYPE_FILE) {
-          reject(Error("Non file paths are not supported yet!"));
-        }
-
         // Prepare the file buffers
         const bufferSize = module.exports.getTypedBufferSize(meta.t, meta.s);
         let dataBuffer;
 
+        if (meta.v === sqliteConstants.DATABASE_PATH_TYPE_BASE64 || meta.v === sqliteConstants.DATABASE_PATH_TYPE_ZIP) {
+          try {
+            newRow[keyValue] = module.exports.getNdarrayData(decodeNdarray(db, meta, bufferSize, type), meta);
+          } catch (error) {
+            reject(error);
+          }
+          continue;
+        } else if (meta.v !== sqliteConstants.DATABASE_PATH_TYPE_FILE) {
+          reject(Error("Non file paths are not supported yet!"));
+        }
+
+        if (type === false) {
+          try {
+            const filePath = getReadableFilePath(db, meta);
+            // Check the size of the file, throw an error if it doesn't exist
+            if (fs.statSync(filePath).size === bufferSize) {
+              newRow[keyValue] = module.exports.getNdarrayData(fs.createReadStream(filePath), meta);
+            } else {
+              reject(Error(`Metadata size different to file size for ${JSON.stringify(meta)} while read`));
+            }
+          } catch (error) {
+            reject(error);
+          }
+          continue;
+        }
+
         try {
           // May run out of memory
           dataBuffer = Buffer.alloc(bufferSize);
 
-          let filePath = "";
-
           // Check if the path is absolute, otherwise append the db path
-          if (path.isAbsolute(meta.p)) {
-            filePath = meta.p;
-          } else {
-            filePath = path.join(db.dataFolder, meta.p);
-          }
+          const filePath = getReadableFilePath(db, meta);
 
           // Check the size of the file
           const dataFileStats = fs.statSync(filePath);
@@ -414,3 +663,71 @@ module.exports.readNdarrayMany = function(db, data, key, type) {
     resolve(retData);
   });
 };
+
+/**
+ * Renames the temporary files written by `writeNdarrayMany` with `options.temporary`,
+ * once the rows that reference them are committed, and syncs their folders to disk.
+ * @function
+ * @alias module:sqlite-ndarray.commitNdarrayMany
+ * @async
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object[]} data - A list of the data rows with ndarray metadata.
+ *     The metadata can be an object or its JSON string, as stored in sqlite.
+ * @param {string|string[]} key - The key(s) representing the ndarray(s).
+ * @returns {Promise<number>} - The number of files renamed.
+ */
+module.exports.commitNdarrayMany = async function(db, data, key) {
+  let count = 0;
+  const renamedFolders = new Set();
+
+  for (const meta of getFileMetas(data, key)) {
+    const filePath = getNdarrayFilePath(db, meta);
+    try {
+      await rename(filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX, filePath);
+      renamedFolders.add(path.dirname(filePath));
+      count++;
+    } catch (error) {
+      // The file has already been renamed
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  // The renames are only durable once their directory entries are synced
+  renamedFolders.forEach(syncDirectory);
+
+  return count;
+};
+
+/**
+ * Delete the ndarray files referenced by documents, including their temporary files.
+ * @function
+ * @alias module:sqlite-ndarray.deleteNdarrayMany
+ * @async
+ * @param {object} db - The sqlite3 db object from module node-sqlite3.
+ * @param {object[]} data - A list of the data rows with ndarray metadata.
+ *     The metadata can be an object or its JSON string, as stored in sqlite.
+ * @param {string|string[]} key - The key(s) representing the ndarray(s).
+ * @returns {Promise<number>} - The number of files deleted.
+ */
+module.exports.deleteNdarrayMany = async function(db, data, key) {
+  let count = 0;
+
+  for (const meta of getFileMetas(data, key)) {
+    const filePath = getNdarrayFilePath(db, meta);
+    for (const deletePath of [filePath, filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX]) {
+      try {
+        await unlink(deletePath);
+        count++;
+      } catch (error) {
+        // The file has already been removed
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    }
+  }
+
+  return count;
+};
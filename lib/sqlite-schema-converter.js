@@ -8,6 +8,9 @@
 const _ = require("lodash");
 const sqliteConstants = require("./sqlite-constants.js");
 
+// The filter operators whose operands are values of the column
+const valueOperators = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$not"];
+
 /**
  * Returns a basic sqlite type from an array of tdx types.
  * @function
@@ -32,9 +35,9 @@ module.exports.getBasicType = function(tdxTypes) {
     case sqliteConstants.TDX_TYPE_STRING:
       return sqliteConstants.SQLITE_TYPE_TEXT;
     case sqliteConstants.TDX_TYPE_BOOLEAN:
-      return sqliteConstants.SQLITE_TYPE_NUMERIC;
+      return sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN;
     case sqliteConstants.TDX_TYPE_DATE:
-      return sqliteConstants.SQLITE_TYPE_NUMERIC;
+      return sqliteConstants.SQLITE_GENERAL_TYPE_DATE;
     case sqliteConstants.TDX_TYPE_NUMBER:
       if (tdxDerivedType.indexOf(sqliteConstants.TDX_TYPE_INT) >= 0) {
         return sqliteConstants.SQLITE_TYPE_INTEGER;
@@ -68,6 +71,11 @@ module.exports.mapSchema = function(types) {
       case sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY:
         sqliteSchema[key] = sqliteConstants.SQLITE_TYPE_TEXT;
         break;
+      case sqliteConstants.SQLITE_GENERAL_TYPE_DATE:
+      case sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN:
+        // Dates are stored as milliseconds since the epoch, and booleans as 0 or 1
+        sqliteSchema[key] = sqliteConstants.SQLITE_TYPE_NUMERIC;
+        break;
       default:
         sqliteSchema[key] = value;
         break;
@@ -125,6 +133,73 @@ module.exports.escapeIdentifier = function(identifier) {
   return `"${identifier.replace(/"/g, '""')}"`;
 };
 
+/**
+ * Splits a property path inside an OBJECT or ARRAY column into the column and
+ * the SQLite JSON path of the property inside the column.
+ *
+ * Numeric keys are used as array indices. Keys can't contain double quotes,
+ * as SQLite JSON paths can't escape them.
+ *
+ * @function
+ * @alias module:sqlite-schema-converter.splitPropertyPath
+ * @param {object} schema - The general sqlite schema
+ * @param {string} propertyPath - The property path, e.g. "address.postcode"
+ * @returns {{column: string, jsonPath: string}|null} - The column and JSON path, or `null` if the property path
+ *     is a column or isn't inside an OBJECT or ARRAY column.
+ * @example
+ *   // returns {column: "address", jsonPath: '$."lines"[0]'}
+ *   converter.splitPropertyPath({address: "OBJECT"}, "address.lines.0");
+ */
+module.exports.splitPropertyPath = function(schema, propertyPath) {
+  if (propertyPath in schema) {
+    return null;
+  }
+
+  const [column, ...keys] = propertyPath.split(".");
+  const type = schema[column];
+  if (!keys.length ||
+      (type !== sqliteConstants.SQLITE_GENERAL_TYPE_OBJECT && type !== sqliteConstants.SQLITE_GENERAL_TYPE_ARRAY)) {
+    return null;
+  }
+
+  const jsonPath = keys.reduce((path, key) => {
+    if (key.includes("\"")) {
+      throw Error(`[sqlite-schema-converter]: property path ${propertyPath} can't contain double quotes.`);
+    }
+    return (/^\d+$/.test(key)) ? `${path}[${key}]` : `${path}."${key}"`;
+  }, "$");
+
+  return {column, jsonPath};
+};
+
+/**
+ * Returns the general sqlite type of a property path from a tdx schema.
+ *
+ * The elements of an array are assumed to have the type of its first element.
+ *
+ * @function
+ * @alias module:sqlite-schema-converter.getPropertyPathType
+ * @param {object} schema - The tdx schema
+ * @param {string} propertyPath - The property path, e.g. "address.postcode"
+ * @returns {string} - The general sqlite type. If the property path is not in the tdx schema it will return the
+ *     default text type.
+ */
+module.exports.getPropertyPathType = function(schema, propertyPath) {
+  let value = schema;
+  for (const key of propertyPath.split(".")) {
+    if (_.isArray(value)) {
+      value = value[0];
+    } else if (_.isObject(value) && !Object.prototype.hasOwnProperty.call(value, sqliteConstants.TDX_TYPE_NAME)) {
+      value = value[key];
+    } else {
+      value = undefined;
+    }
+  }
+
+  const type = module.exports.convertSchema({value}).value;
+  return type || sqliteConstants.SQLITE_TYPE_TEXT;
+};
+
 /**
  * Escapes the first character of the string using HTML standard.
  *
@@ -165,6 +240,144 @@ module.exports.makeNamedParameter = function(namedParameter) {
   return `:a(${escapeParameter})`;
 };
 
+/**
+ * Converts a date value to milliseconds since the epoch.
+ * @param {Date|string|number} value - A `Date`, an ISO-8601 string or milliseconds since the epoch.
+ * @returns {number|null} - The milliseconds since the epoch, or `null` for a `null` value.
+ */
+function convertDateToEpoch(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  let epoch = value;
+  if (value instanceof Date) {
+    epoch = value.getTime();
+  } else if (typeof value === "string") {
+    epoch = Date.parse(value);
+  }
+
+  if (typeof epoch !== "number" || Number.isNaN(epoch)) {
+    throw Error(`[sqlite-schema-converter]: ${JSON.stringify(value)} is not a valid date.`);
+  }
+  return epoch;
+}
+
+/**
+ * Converts a boolean value to 0 or 1.
+ * @param {boolean|number|null} value - The boolean value.
+ *     Numbers are kept as is, since they are already stored booleans.
+ * @returns {number|null} - 1 for `true`, 0 for `false`, or `null` for a `null` value.
+ */
+function convertBooleanToSqlite(value) {
+  if (typeof value === "boolean") {
+    return Number(value);
+  }
+  return (value === undefined) ? null : value;
+}
+
+/**
+ * Converts a stored date value to a date format.
+ * @param {number|string|null} value - Milliseconds since the epoch, or an ISO-8601
+ *     string for dates in OBJECT and ARRAY columns.
+ * @param {string} [dateFormat="date"] - `"date"`, `"iso"` or `"epoch"`.
+ * @returns {Date|string|number|null} - The converted date. Values that aren't
+ *     valid dates are returned as is.
+ */
+function convertDateToTdx(value, dateFormat) {
+  const date = new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+    return value;
+  }
+
+  switch (dateFormat) {
+    case sqliteConstants.DATE_FORMAT_ISO:
+      return date.toISOString();
+    case sqliteConstants.DATE_FORMAT_EPOCH:
+      return date.getTime();
+    default:
+      return date;
+  }
+}
+
+/**
+ * Converts the values of a mongodb filter condition to SQLite values.
+ *
+ * Values of DATE columns are converted to milliseconds since the epoch, and
+ * values of BOOLEAN columns to 0 or 1. Only the operands of equality and
+ * comparison operators are values of the column, the operands of other
+ * operators, e.g. `$regex`, aren't converted.
+ * `Date` values of other columns are converted to ISO-8601 strings, the JSON
+ * format of dates in OBJECT and ARRAY columns.
+ * @function
+ * @alias module:sqlite-schema-converter.convertFilterValue
+ * @param {string} [type] - The general sqlite type of the column, `undefined` for property paths.
+ * @param {any} value - The filter condition, e.g. `{$gt: new Date("2020-01-01")}`.
+ * @returns {any} - The converted filter condition.
+ */
+module.exports.convertFilterValue = function(type, value) {
+  if (_.isArray(value)) {
+    return value.map((element) => module.exports.convertFilterValue(type, element));
+  } else if (_.isPlainObject(value)) {
+    return _.mapValues(value, (element, operator) => {
+      if (!operator.startsWith("$") || valueOperators.includes(operator)) {
+        return module.exports.convertFilterValue(type, element);
+      }
+      return (operator === "$exists") ? element : module.exports.convertFilterValue(undefined, element);
+    });
+  } else if (type === sqliteConstants.SQLITE_GENERAL_TYPE_DATE) {
+    return convertDateToEpoch(value);
+  } else if (type === sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN) {
+    return convertBooleanToSqlite(value);
+  } else if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Returns the properties used by a mongodb filter.
+ * @function
+ * @alias module:sqlite-schema-converter.getFilterKeys
+ * @param {any} filter - A mongodb filter object, or any of its values.
+ * @returns {string[]} - The property names and paths.
+ * @example
+ *   // returns ["a", "b.c"]
+ *   converter.getFilterKeys({$or: [{a: 1}, {"b.c": {$gt: 2}}]});
+ */
+module.exports.getFilterKeys = function(filter) {
+  if (_.isArray(filter)) {
+    return _.flatMap(filter, module.exports.getFilterKeys);
+  } else if (!_.isPlainObject(filter)) {
+    return [];
+  }
+  // Logical operators, e.g. $and, $or, contain filters
+  return _.flatMap(filter, (value, key) => (key.startsWith("$") ? module.exports.getFilterKeys(value) : [key]));
+};
+
+/**
+ * Converts the values of a mongodb filter to SQLite values.
+ * @function
+ * @alias module:sqlite-schema-converter.convertFilterToSqlite
+ * @param {Object<string, string>} schema - Object of columns -> general SQLite types
+ * @param {object} filter - A mongodb filter object.
+ * @returns {object} - The converted filter.
+ */
+module.exports.convertFilterToSqlite = function(schema, filter) {
+  if (_.isArray(filter)) {
+    return filter.map((element) => module.exports.convertFilterToSqlite(schema, element));
+  } else if (!_.isPlainObject(filter)) {
+    return filter;
+  }
+  return _.mapValues(filter, (value, key) => {
+    if (key.startsWith("$")) {
+      // Logical operators, e.g. $and, $or
+      return module.exports.convertFilterToSqlite(schema, value);
+    }
+    return module.exports.convertFilterValue(schema[key], value);
+  });
+};
+
 /**
  * Convert row of TDX values to SQLite values.
  * @function
@@ -184,6 +397,23 @@ module.exports.convertRowToSqlite = function(schema, row) {
   return converted;
 };
 
+/**
+ * Convert row of SQLite values to TDX values.
+ * @function
+ * @alias module:sqlite-schema-converter.convertRowToTdx
+ * @param {Object<string, string>} schema - Object of columns -> SQLite types
+ * @param {Object<string, any>} row - Object of a data row of column -> value
+ * @param {object} [options] - The `convertToTdx` options.
+ * @returns {Object<string, any>} - The converted values.
+ */
+module.exports.convertRowToTdx = function(schema, row, options) {
+  const converted = {};
+  for (const column in row) {
+    converted[column] = module.exports.convertToTdx(schema[column], row[column], options);
+  }
+  return converted;
+};
+
 /**
  * Converts a tdx value to a sqlite value based on a sqlite type.
  * @function
@@ -219,6 +449,12 @@ module.exports.convertToSqlite = function(type, value, options) {
     case sqliteConstants.SQLITE_TYPE_TEXT:
       result = (onlyStringify) ? value : `'${value.replace(/'/g, "''")}'`;
       break;
+    case sqliteConstants.SQLITE_GENERAL_TYPE_DATE:
+      result = convertDateToEpoch(value);
+      break;
+    case sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN:
+      result = convertBooleanToSqlite(value);
+      break;
     default:
       result = null;
   }
@@ -231,10 +467,14 @@ module.exports.convertToSqlite = function(type, value, options) {
  * @alias module:sqlite-schema-converter.convertToTdx
  * @param {string} type - Sqlite type to convert the value to
  * @param {string} value - SQlite value to convert from
- * @returns {number|string|array|object} - The converted value.
+ * @param {object} [options] - optional addition options
+ * @param {string} [options.dateFormat="date"] - The format of DATE values:
+ *     `"date"` for `Date` objects, `"iso"` for ISO-8601 strings or
+ *     `"epoch"` for milliseconds since the epoch.
+ * @returns {number|string|array|object|Date} - The converted value.
  *     If it is an unrecognized type it will return `null`.
  */
-module.exports.convertToTdx = function(type, value) {
+module.exports.convertToTdx = function(type, value, options) {
   let result;
 
   switch (type) {
@@ -251,6 +491,12 @@ module.exports.convertToTdx = function(type, value) {
     case sqliteConstants.SQLITE_TYPE_TEXT:
       result = value;
       break;
+    case sqliteConstants.SQLITE_GENERAL_TYPE_DATE:
+      result = convertDateToTdx(value, (options || {}).dateFormat);
+      break;
+    case sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN:
+      result = (value === null || value === undefined) ? null : Boolean(value);
+      break;
     default:
       result = null;
   }
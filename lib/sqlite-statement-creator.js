@@ -36,6 +36,8 @@ function makeUniqueIndexSet(uniqueIndex) {
  * @param {UniqueIndex} uniqueIndex - The uniqueIndex to upsert.
  * @param {object} schema - The schema of the database.
  * @param {Array<string>} dataRowKeys - The column names for the data row.
+ * @param {string} [condition] - An extra condition the updated row must match,
+ *     with `?NNN` parameters numbered after the data row parameters.
  * @returns {string} - The SQLite insert/upsert statement.
  *
  * @example
@@ -43,7 +45,7 @@ function makeUniqueIndexSet(uniqueIndex) {
  * // `UPDATE table SET "unique" = :a(unique) WHERE "unique" = :a(unique);`
  * updateStatement([{"asc": "unique"}], {"unique": "TEXT"}, ["unique"]);
  */
-module.exports.updateStatement = function(uniqueIndex, schema, dataRowKeys) {
+module.exports.updateStatement = function(uniqueIndex, schema, dataRowKeys, condition) {
   let updateStr = "";
 
   const schemaColumnsSet = new Set(Object.keys(schema));
@@ -86,6 +88,9 @@ module.exports.updateStatement = function(uniqueIndex, schema, dataRowKeys) {
     throw new Error("No uniqueIndex was given.");
   }
   sqlStatement += ` WHERE ${conditionStr}`;
+  if (condition) {
+    sqlStatement += ` AND (${condition})`;
+  }
 
   // finish SQLStatement
   sqlStatement += ";";
@@ -103,9 +108,14 @@ module.exports.updateStatement = function(uniqueIndex, schema, dataRowKeys) {
  * @param {object} schema - The schema of the database.
  * @param {Array<string>} dataRowKeys - The column names for the data row.
  * @param {boolean} upsert - If true, updates if the data already exists.
+ * @param {string} [onConflict="error"] - The conflict resolution of a plain insert:
+ *     `"ignore"` for `INSERT OR IGNORE`, `"replace"` for `INSERT OR REPLACE`,
+ *     or `"error"` to fail on a constraint violation.
+ * @param {string} [condition] - An extra condition the existing row must match to be updated by an upsert,
+ *     with `?NNN` parameters numbered after the data row parameters.
  * @returns {string} - The SQLite insert/upsert statement.
  */
-module.exports.insertStatement = (uniqueIndex, schema, dataRowKeys, upsert) => {
+module.exports.insertStatement = (uniqueIndex, schema, dataRowKeys, upsert, onConflict = "error", condition) => {
   let tableColumnStr = "";
   let sqliteValue = "";
   let updateStr = "";
@@ -132,7 +142,12 @@ module.exports.insertStatement = (uniqueIndex, schema, dataRowKeys, upsert) => {
   sqliteValue = sqliteValue.slice(0, -2);
   updateStr = updateStr.slice(0, -2);
 
-  let sqlStatement = "INSERT INTO " +
+  const conflictClauses = {error: "", ignore: " OR IGNORE", replace: " OR REPLACE"};
+  if (!(onConflict in conflictClauses)) {
+    throw new Error(`onConflict should be "ignore", "replace" or "error". Instead got ${onConflict}.`);
+  }
+
+  let sqlStatement = `INSERT${conflictClauses[onConflict]} INTO ` +
     `${sqliteConstants.DATABASE_DATA_TABLE_NAME}(${tableColumnStr}) ` +
     `VALUES(${sqliteValue})`;
 
@@ -146,6 +161,9 @@ module.exports.insertStatement = (uniqueIndex, schema, dataRowKeys, upsert) => {
       throw new Error("No uniqueIndex was given.");
     }
     sqlStatement += ` ON CONFLICT(${conflictStr}) DO UPDATE SET ${updateStr}`;
+    if (condition) {
+      sqlStatement += ` WHERE ${condition}`;
+    }
   }
 
   // finish SQLStatement
@@ -158,9 +176,11 @@ module.exports.insertStatement = (uniqueIndex, schema, dataRowKeys, upsert) => {
  *
  * @param {UniqueIndex} uniqueIndex - The uniqueIndex to delete on.
  * @param {Array<string>} dataRowKeys - The order of the uniqueIndex columns.
+ * @param {string} [condition] - An extra condition the deleted row must match,
+ *     with `?NNN` parameters numbered after the data row parameters.
  * @returns {string} - The SQLite deletion statement.
  */
-module.exports.deleteStatement = function(uniqueIndex, dataRowKeys) {
+module.exports.deleteStatement = function(uniqueIndex, dataRowKeys, condition) {
   const uniqueIndexSet = makeUniqueIndexSet(uniqueIndex);
 
   const whereCond = []; // stores uniqueIndex columns
@@ -191,8 +211,13 @@ module.exports.deleteStatement = function(uniqueIndex, dataRowKeys) {
     orString = `OR ( NULL NOTNULL AND ${uselessCond.join(" AND ")})`;
   }
 
+  let whereClause = `${whereString} ${orString}`;
+  if (condition) {
+    whereClause = `(${whereClause}) AND (${condition})`;
+  }
+
   const sqlStatement = "DELETE FROM" +
     ` ${sqliteConstants.DATABASE_DATA_TABLE_NAME}` +
-    ` WHERE ${whereString} ${orString};`;
+    ` WHERE ${whereClause};`;
   return sqlStatement;
 };
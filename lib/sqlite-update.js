@@ -0,0 +1,193 @@
+/**
+ * Module to compile mongodb update documents into sqlite assignments.
+ * @module sqlite-update
+ * @author Alexandru Mereacre <mereacre@gmail.com>
+ */
+"use strict";
+
+const _ = require("lodash");
+const sqliteConstants = require("./sqlite-constants.js");
+const sqliteConverter = require("./sqlite-schema-converter.js");
+
+const numericOperators = ["$inc", "$mul"];
+const supportedOperators = ["$set", "$unset", "$inc", "$mul", "$min", "$max", "$push", "$currentDate"];
+
+/**
+ * Makes a binding parameter for a value.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @param {any} value - The value to bind.
+ * @returns {string} - The `?NNN` parameter.
+ */
+function makeParameter(values, value) {
+  values.push(value);
+  return `?${values.length}`;
+}
+
+/**
+ * Converts the value of a `$currentDate` field.
+ * @param {string} [type] - The general sqlite type of the column, `undefined` for property paths.
+ * @param {Date} now - The current date.
+ * @returns {number|string} - The milliseconds since the epoch, or the ISO-8601 string for
+ *     TEXT columns and property paths.
+ */
+function convertCurrentDate(type, now) {
+  switch (type) {
+    case sqliteConstants.SQLITE_GENERAL_TYPE_DATE:
+    case sqliteConstants.SQLITE_TYPE_NUMERIC:
+    case sqliteConstants.SQLITE_TYPE_INTEGER:
+    case sqliteConstants.SQLITE_TYPE_REAL:
+      return now.getTime();
+    case sqliteConstants.SQLITE_TYPE_TEXT:
+    case undefined:
+      return now.toISOString();
+  }
+  throw Error(`[sqlite-update]: $currentDate can't update a column of type ${type}.`);
+}
+
+/**
+ * Makes the sqlite expression of the new value of a field.
+ * @param {string} operator - The update operator, e.g. `"$inc"`.
+ * @param {any} argument - The operator argument of the field.
+ * @param {string} current - The sqlite expression of the current value.
+ * @param {string} [type] - The general sqlite type of the column, `undefined` for property paths.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {string|null} - The sqlite expression, or `null` to remove the field.
+ */
+function makeValueExpression(operator, argument, current, type, values) {
+  const isPath = type === undefined;
+  const convert = (value) => {
+    return isPath ? value : sqliteConverter.convertToSqlite(type, value, {onlyStringify: true});
+  };
+  // Property paths are set with JSON values
+  const makeJsonParameter = (value) => `json(${makeParameter(values, JSON.stringify(value))})`;
+
+  if (numericOperators.includes(operator) && typeof argument !== "number") {
+    throw Error(`[sqlite-update]: ${operator} requires a number. Instead got ${JSON.stringify(argument)}.`);
+  }
+
+  switch (operator) {
+    case "$set":
+      return isPath ? makeJsonParameter(argument) : makeParameter(values, convert(argument));
+    case "$unset":
+      return null;
+    case "$inc":
+      return `(COALESCE(${current}, 0) + ${makeParameter(values, argument)})`;
+    case "$mul":
+      // mongodb sets missing fields to 0
+      return `(COALESCE(${current}, 0) * ${makeParameter(values, argument)})`;
+    case "$min":
+    case "$max": {
+      // The scalar min() and max() return NULL if any argument is NULL
+      const parameter = makeParameter(values, convert(argument));
+      return `COALESCE(${operator.slice(1)}(${current}, ${parameter}), ${parameter})`;
+    }
+    case "$push": {
+      if (!isPath && type !== sqliteConstants.SQLITE_GENERAL_TYPE_ARRAY) {
+        throw Error("[sqlite-update]: $push requires an ARRAY column.");
+      }
+      const elements = _.isPlainObject(argument) && _.has(argument, "$each") ? argument.$each : [argument];
+      // SQLite 3.28 doesn't support the '$[#]' path of the end of an array
+      return elements.reduce((array, element) => {
+        return `json_insert(${array}, '$[' || json_array_length(${array}) || ']', ${makeJsonParameter(element)})`;
+      }, `COALESCE(${current}, '[]')`);
+    }
+    case "$currentDate":
+      if (argument !== true && !_.isEqual(argument, {$type: "date"})) {
+        throw Error("[sqlite-update]: $currentDate only supports true or {$type: \"date\"}.");
+      }
+      return makeParameter(values, convertCurrentDate(type, new Date()));
+  }
+  throw Error(`[sqlite-update]: unsupported update operator ${operator}.`);
+}
+
+/**
+ * Compiles a mongodb update document into the sqlite expressions of the new values of the updated columns.
+ *
+ * Supports the `$set`, `$unset`, `$inc`, `$mul`, `$min`, `$max`, `$push` and
+ * `$currentDate` operators. An update without operators sets the given fields,
+ * like `$set`. Values are converted using the general sqlite types of the
+ * columns, and property paths inside OBJECT and ARRAY columns are updated
+ * with the SQLite JSON functions.
+ * @function
+ * @alias module:sqlite-update.makeUpdateExpressions
+ * @param {object} schema - The general schema of the dataset.
+ * @param {object} update - The mongodb update document.
+ * @param {any[]} values - The values to bind to the query, modified in place.
+ * @returns {Object<string, string>} - The updated columns -> sqlite expressions with `?NNN` parameters.
+ * @example
+ * // returns {count: '(COALESCE("count", 0) + ?1)'}, with values [1]
+ * makeUpdateExpressions({count: "NUMERIC"}, {$inc: {count: 1}}, []);
+ */
+module.exports.makeUpdateExpressions = function(schema, update, values) {
+  const operators = Object.keys(update);
+  const hasOperators = operators.some((key) => key.startsWith("$"));
+  if (hasOperators && !operators.every((key) => key.startsWith("$"))) {
+    throw Error("[sqlite-update]: an update can't mix fields and update operators.");
+  }
+  const updateOperators = hasOperators ? update : {$set: update};
+
+  // The assignment expression of each column
+  const assignments = {};
+  // The columns updated as a whole, which can't also be updated by property path
+  const wholeColumns = new Set();
+
+  _.forEach(updateOperators, (fields, operator) => {
+    if (!supportedOperators.includes(operator)) {
+      throw Error(`[sqlite-update]: unsupported update operator ${operator}.`);
+    }
+
+    _.forEach(fields, (argument, field) => {
+      const propertyPath = sqliteConverter.splitPropertyPath(schema, field);
+      const column = propertyPath ? propertyPath.column : field;
+      if (!(column in schema)) {
+        throw Error(`[sqlite-update]: unknown field ${field}.`);
+      }
+      if (schema[column] === sqliteConstants.SQLITE_GENERAL_TYPE_NDARRAY) {
+        throw Error(`[sqlite-update]: can't update the ndarray column ${column}.`);
+      }
+      if (wholeColumns.has(column) || (!propertyPath && column in assignments)) {
+        throw Error(`[sqlite-update]: conflicting updates of ${column}.`);
+      }
+
+      const escapedColumn = sqliteConverter.escapeIdentifier(column);
+      if (!propertyPath) {
+        wholeColumns.add(column);
+        const expression = makeValueExpression(operator, argument, escapedColumn, schema[column], values);
+        assignments[column] = (expression === null) ? "NULL" : expression;
+        return;
+      }
+
+      // Chain the updates of the property paths of the same column
+      const columnExpression = assignments[column] || escapedColumn;
+      // SQLite 3.28 json_set() inserts the quotes of missing quoted keys, so only quote the keys that need it
+      const jsonPath = makeParameter(values, propertyPath.jsonPath.replace(/\."([^".[\]]+)"/g, ".$1"));
+      const current = `json_extract(${columnExpression}, ${jsonPath})`;
+      const expression = makeValueExpression(operator, argument, current, undefined, values);
+      if (expression === null) {
+        assignments[column] = `json_remove(${columnExpression}, ${jsonPath})`;
+      } else {
+        const object = (schema[column] === sqliteConstants.SQLITE_GENERAL_TYPE_ARRAY) ? "'[]'" : "'{}'";
+        assignments[column] = `json_set(COALESCE(${columnExpression}, ${object}), ${jsonPath}, ${expression})`;
+      }
+    });
+  });
+
+  return assignments;
+};
+
+/**
+ * Makes the assignments of an sqlite UPDATE query from the expressions of the updated columns.
+ * @function
+ * @alias module:sqlite-update.makeUpdateAssignments
+ * @param {Object<string, string>} expressions - The updated columns -> sqlite expressions,
+ *     from `makeUpdateExpressions`.
+ * @returns {string} - The comma separated `column = expression` assignments.
+ * @example
+ * // returns '"count" = (COALESCE("count", 0) + ?1)'
+ * makeUpdateAssignments({count: '(COALESCE("count", 0) + ?1)'});
+ */
+module.exports.makeUpdateAssignments = function(expressions) {
+  return _.map(expressions, (expression, column) => {
+    return `${sqliteConverter.escapeIdentifier(column)} = ${expression}`;
+  }).join(", ");
+};
@@ -0,0 +1,161 @@
+/**
+ * Module to validate data rows against a TDX data schema.
+ * @module sqlite-validator
+ * @author Alexandru Mereacre <mereacre@gmail.com>
+ */
+"use strict";
+
+const _ = require("lodash");
+const sqliteConstants = require("./sqlite-constants.js");
+const sqliteConverter = require("./sqlite-schema-converter.js");
+
+/**
+ * @global
+ * @typedef {object} RowValidationError
+ * @property {number} index - The index of the invalid row in the data.
+ * @property {string[]} errors - The descriptions of the invalid properties,
+ *     e.g. `"address.postcode should be a string"`.
+ */
+
+/**
+ * Checks a value against a basic TDX type.
+ * @param {string[]} tdxTypes - The array of tdx types, e.g. `["number", "INT"]`.
+ * @param {any} value - The value to check.
+ * @returns {string|null} - The description of the error, or `null` if the value is valid.
+ */
+function checkBasicValue(tdxTypes, value) {
+  const tdxBaseType = typeof tdxTypes[0] === "string" ? tdxTypes[0].toLowerCase() : "";
+  switch (tdxBaseType) {
+    case sqliteConstants.TDX_TYPE_STRING:
+      return typeof value === "string" ? null : "should be a string";
+    case sqliteConstants.TDX_TYPE_NUMBER:
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "should be a number";
+      }
+      if (sqliteConverter.getBasicType(tdxTypes) === sqliteConstants.SQLITE_TYPE_INTEGER && !Number.isInteger(value)) {
+        return "should be an integer";
+      }
+      return null;
+    case sqliteConstants.TDX_TYPE_BOOLEAN:
+      return typeof value === "boolean" ? null : "should be a boolean";
+    case sqliteConstants.TDX_TYPE_DATE: {
+      const isDate = (value instanceof Date && !Number.isNaN(value.getTime())) ||
+        (typeof value === "number" && Number.isFinite(value)) ||
+        (typeof value === "string" && !Number.isNaN(Date.parse(value)));
+      return isDate ? null : "should be a date";
+    }
+    case sqliteConstants.TDX_TYPE_NDARRAY:
+      return _.isPlainObject(value) ? null : "should be an ndarray";
+  }
+  // Any value is valid for unknown types
+  return null;
+}
+
+/**
+ * Validates a value against its TDX schema, appending the errors to `errors`.
+ * @param {object|Array} schema - The TDX schema of the value.
+ * @param {any} value - The value to validate.
+ * @param {string} path - The property path of the value, used in the error descriptions.
+ * @param {string[]} errors - The list of errors to append to.
+ */
+function validateValue(schema, value, path, errors) {
+  if (value === null || value === undefined) {
+    return;
+  }
+
+  if (_.isArray(schema)) {
+    if (!_.isArray(value)) {
+      errors.push(`${path} should be an array`);
+    } else if (schema.length) {
+      value.forEach((item, idx) => validateValue(schema[0], item, `${path}.${idx}`, errors));
+    }
+  } else if (_.isPlainObject(schema)) {
+    if (Object.prototype.hasOwnProperty.call(schema, sqliteConstants.TDX_TYPE_NAME)) {
+      const error = checkBasicValue(schema[sqliteConstants.TDX_TYPE_NAME], value);
+      if (error) {
+        errors.push(`${path} ${error}`);
+      }
+    } else if (!_.isPlainObject(value)) {
+      errors.push(`${path} should be an object`);
+    } else {
+      validateObject(schema, value, `${path}.`, errors, {});
+    }
+  }
+}
+
+/**
+ * Validates the properties of an object against a TDX object schema, appending the errors to `errors`.
+ * @param {object} schema - The TDX schema of the object.
+ * @param {object} object - The object to validate.
+ * @param {string} prefix - The property path prefix, used in the error descriptions.
+ * @param {string[]} errors - The list of errors to append to.
+ * @param {object} options - The validation options.
+ * @param {boolean} [options.partial] - Only check the properties in `options.required` are present.
+ * @param {string[]} [options.required] - The properties that are required besides the
+ *     ones flagged with `__tdxRequired`.
+ */
+function validateObject(schema, object, prefix, errors, options) {
+  const required = options.required || [];
+  _.forEach(schema, (propertySchema, key) => {
+    const value = object[key];
+    if (value === null || value === undefined) {
+      const isRequired = required.includes(key) ||
+        (!options.partial && _.get(propertySchema, sqliteConstants.TDX_REQUIRED_NAME) === true);
+      if (isRequired) {
+        errors.push(`${prefix}${key} is required`);
+      }
+    } else {
+      validateValue(propertySchema, value, `${prefix}${key}`, errors);
+    }
+  });
+}
+
+/**
+ * Validates data rows against a TDX data schema.
+ *
+ * Checks the types of the properties, nested properties and array items, and that
+ * the required properties, flagged with `"__tdxRequired": true`, are present.
+ * Properties that aren't in the schema are ignored.
+ * @function
+ * @alias module:sqlite-validator.validateData
+ * @param {object} dataSchema - The TDX data schema.
+ * @param {DataRow[]} data - The data rows to validate.
+ * @param {object} [options] - The validation options.
+ * @param {boolean} [options.partial=false] - Set to `true` for partial rows, e.g. updates,
+ *     where only the `options.required` top level properties are required.
+ * @param {string[]} [options.required=[]] - The top level properties that are required
+ *     besides the ones flagged with `__tdxRequired`, e.g. the uniqueIndex columns.
+ * @returns {RowValidationError[]} - The errors of the invalid rows, empty if every row is valid.
+ * @example
+ *   // returns [{index: 1, errors: ["prop1 should be a number"]}]
+ *   validateData({prop1: {__tdxType: ["number"]}}, [{prop1: 1}, {prop1: "one"}]);
+ */
+module.exports.validateData = function(dataSchema, data, options) {
+  const report = [];
+  data.forEach((row, index) => {
+    const errors = [];
+    if (_.isPlainObject(row)) {
+      validateObject(dataSchema, row, "", errors, options || {});
+    } else {
+      errors.push("row should be an object");
+    }
+    if (errors.length) {
+      report.push({errors, index});
+    }
+  });
+  return report;
+};
+
+/**
+ * Makes the error thrown for invalid rows.
+ * @function
+ * @alias module:sqlite-validator.makeValidationError
+ * @param {RowValidationError[]} report - The errors of the invalid rows.
+ * @returns {Error} - The error, with the report in its `rows` property.
+ */
+module.exports.makeValidationError = function(report) {
+  const details = report.map(({index, errors}) => `row ${index}: ${errors.join(", ")}`);
+  const error = Error(`[sqlite-validator]: invalid rows. ${details.join("; ")}.`);
+  error.rows = report;
+  return error;
+};
@@ -109,7 +109,7 @@ exports.TDX_SCHEMA_LIST = [{// Test 1
     "prop1": "NUMERIC",
   },
   "generalSchema": {
-    "prop1": "NUMERIC",
+    "prop1": "BOOLEAN",
   },
   "sqliteIndex": "",
 },
@@ -126,7 +126,7 @@ exports.TDX_SCHEMA_LIST = [{// Test 1
     "prop1": "NUMERIC",
   },
   "generalSchema": {
-    "prop1": "NUMERIC",
+    "prop1": "DATE",
   },
   "sqliteIndex": "",
 },
@@ -226,7 +226,7 @@ exports.TDX_SCHEMA_LIST = [{// Test 1
     "ratio": "NUMERIC",
     "gender": "TEXT",
     "age_band": "TEXT",
-    "locked": "NUMERIC",
+    "locked": "BOOLEAN",
   },
   "sqliteIndex": "CREATE UNIQUE INDEX dataindex ON data(ratio ASC,gender DESC,age_band ASC,locked DESC)",
 },
@@ -4,6 +4,7 @@
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
+const {Readable} = require("stream");
 
 const _ = require("lodash");
 const del = require("del");
@@ -340,6 +341,213 @@ describe("sqlite-manager", function() {
           .should.eventually.deep.equal(entry.generalSchema);
       });
     });
+
+    it("should create the non unique indexes", async () => {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+      const schema = {...entry.schema, nonUniqueIndex: [[{asc: "prop2"}], [{desc: "prop3"}, {asc: "prop2"}]]};
+      await sqLiteManager.createDataset(dbMem, {schema});
+      const indexes = await dbMem.allAsync(
+        "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'data' AND name <> ? ORDER BY name",
+        [sqliteConstants.DATABASE_TABLE_INDEX_NAME]);
+      indexes.should.deep.equal([
+        {name: "dataindex_prop2_asc", sql: "CREATE INDEX \"dataindex_prop2_asc\" ON data(prop2 ASC)"},
+        {
+          name: "dataindex_prop3_desc_prop2_asc",
+          sql: "CREATE INDEX \"dataindex_prop3_desc_prop2_asc\" ON data(prop3 DESC,prop2 ASC)",
+        },
+      ]);
+      await sqLiteManager.createDataset(dbMem, {schema: {...schema, nonUniqueIndex: [{asc: "prop2"}]}})
+        .should.be.rejectedWith(/non empty array/);
+    });
+
+    it("should reopen a dataset after creating and dropping indexes", async () => {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+      const options = {schema: {...entry.schema, nonUniqueIndex: [[{asc: "prop2"}]]}};
+      const id = await sqLiteManager.createDataset(dbMem, _.cloneDeep(options));
+      await sqLiteManager.createIndex(dbMem, [{desc: "prop3"}]);
+      await sqLiteManager.createDataset(dbMem, _.cloneDeep(options)).should.eventually.equal(id);
+      await sqLiteManager.dropIndex(dbMem, [{asc: "prop2"}]);
+      await sqLiteManager.createDataset(dbMem, _.cloneDeep(options)).should.eventually.equal(id);
+      const indexes = await dbMem.allAsync(
+        "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'data' AND name <> ? ORDER BY name",
+        [sqliteConstants.DATABASE_TABLE_INDEX_NAME]);
+      indexes.should.deep.equal([{name: "dataindex_prop2_asc"}, {name: "dataindex_prop3_desc"}]);
+      const keys = await sqliteInfoTable.getInfoKeys(dbMem, ["schema"]);
+      keys[0].schema.nonUniqueIndex.should.deep.equal([[{desc: "prop3"}], [{asc: "prop2"}]]);
+      await sqLiteManager.createDataset(dbMem, {schema: {...entry.schema, uniqueIndex: []}})
+        .should.be.rejectedWith(/schemas don't coincide/);
+    });
+
+    it("should fail for an invalid derived definition", async () => {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+      await sqLiteManager.createDataset(dbMem, {...entry, derived: {filter: "prop1 > 2"}})
+        .should.be.rejectedWith(/filter/);
+      await sqLiteManager.createDataset(dbMem, {...entry, derived: {projection: {prop1: 1, prop2: 0}}})
+        .should.be.rejectedWith(/mix inclusion and exclusion/);
+    });
+  });
+
+  describe("alterDataset", function() {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    const testData = [{prop1: 1, prop2: 2, prop3: 3}, {prop1: 2, prop2: 4, prop3: 6}];
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, testData);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should add a column and keep the data", async () => {
+      const dataSchema = {...entry.schema.dataSchema, prop4: {__tdxType: ["string"]}};
+      await sqLiteManager.getGeneralSchema(db);
+      const result = await sqLiteManager.alterDataset(db, {dataSchema, uniqueIndex: entry.schema.uniqueIndex});
+      result.should.deep.equal({added: ["prop4"], changed: [], removed: []});
+
+      await sqLiteManager.getGeneralSchema(db).should.eventually.deep.equal({...entry.generalSchema, prop4: "TEXT"});
+      await sqLiteManager.addData(db, [{prop1: 3, prop2: 6, prop3: 9, prop4: "nine"}]);
+      const {data} = await sqLiteManager.getDatasetData(db, {}, null, {sort: {prop1: 1}});
+      data.should.deep.equal([
+        {...testData[0], prop4: null},
+        {...testData[1], prop4: null},
+        {prop1: 3, prop2: 6, prop3: 9, prop4: "nine"},
+      ]);
+      await sqLiteManager.addData(db, [{prop1: 1}]).should.be.rejectedWith(/UNIQUE/);
+
+      const keys = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+      keys[0].schema.dataSchema.should.deep.equal(dataSchema);
+    });
+
+    it("should rebuild the table to remove and change columns", async () => {
+      const dataSchema = {prop1: {__tdxType: ["number"]}, prop2: {__tdxType: ["string"]}};
+      const result = await sqLiteManager.alterDataset(db, {dataSchema, uniqueIndex: [{desc: "prop2"}]});
+      result.should.deep.equal({added: [], changed: ["prop2"], removed: ["prop3"]});
+
+      await sqLiteManager.getGeneralSchema(db).should.eventually.deep.equal({prop1: "NUMERIC", prop2: "TEXT"});
+      const {data} = await sqLiteManager.getDatasetData(db, {}, null, {sort: {prop1: 1}});
+      data.should.deep.equal([{prop1: 1, prop2: "2"}, {prop1: 2, prop2: "4"}]);
+      await sqLiteManager.addData(db, [{prop1: 3, prop2: "2"}]).should.be.rejectedWith(/UNIQUE/);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: "3"}]);
+    });
+
+    it("should change the unique index", async () => {
+      const result = await sqLiteManager.alterDataset(db, {dataSchema: entry.schema.dataSchema, uniqueIndex: []});
+      result.should.deep.equal({added: [], changed: [], removed: []});
+      await sqLiteManager.addData(db, [{prop1: 1}]);
+      await sqLiteManager.getDatasetDataCount(db).should.eventually.deep.equal({count: 3});
+    });
+
+    it("should keep the non unique indexes when rebuilding the table", async () => {
+      await sqLiteManager.createIndex(db, [{asc: "prop2"}]);
+      const dataSchema = _.pick(entry.schema.dataSchema, ["prop1", "prop2"]);
+      const nonUniqueIndex = [[{asc: "prop2"}], [{desc: "prop1"}]];
+      await sqLiteManager.alterDataset(db, {dataSchema, nonUniqueIndex, uniqueIndex: entry.schema.uniqueIndex});
+      const indexes = await db.allAsync(
+        "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'data' ORDER BY name", []);
+      indexes.map(({name}) => name).should.deep.equal(["dataindex", "dataindex_prop1_desc", "dataindex_prop2_asc"]);
+
+      await sqLiteManager.alterDataset(db, {dataSchema, uniqueIndex: entry.schema.uniqueIndex});
+      await db.allAsync("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'data'", [])
+        .should.eventually.deep.equal([{name: "dataindex"}]);
+    });
+
+    it("should fail and keep the schema for an invalid schema", async () => {
+      await sqLiteManager.alterDataset(db, {dataSchema: entry.schema.dataSchema, uniqueIndex: [{asc: "prop4"}]})
+        .should.be.rejectedWith(/prop4/);
+      await sqLiteManager.alterDataset(db, {dataSchema: {}}).should.be.rejectedWith(/all the columns/);
+
+      // Duplicate values of the new unique index roll back the rebuild
+      await sqLiteManager.addData(db, [{prop1: 3, prop2: 2}]);
+      const dataSchema = _.pick(entry.schema.dataSchema, ["prop1", "prop2"]);
+      await sqLiteManager.alterDataset(db, {dataSchema, uniqueIndex: [{asc: "prop2"}]})
+        .should.be.rejectedWith(/UNIQUE/);
+      await sqLiteManager.getGeneralSchema(db).should.eventually.deep.equal(entry.generalSchema);
+      await sqLiteManager.getDatasetDataCount(db).should.eventually.deep.equal({count: 3});
+    });
+
+    it("should delete the ndarray files of removed columns", async () => {
+      const ndarrayDb = await sqLiteManager.openDatabase("", "memory", "w+");
+      const ndarrayEntry = tdxSchemaList.TDX_SCHEMA_LIST[16];
+      await sqLiteManager.createDataset(ndarrayDb, ndarrayEntry);
+      const ndarrayData = generateRandomData(await sqLiteManager.getGeneralSchema(ndarrayDb), 3);
+      await sqLiteManager.addData(ndarrayDb, ndarrayData);
+
+      const dataSchema = {timestamp: ndarrayEntry.schema.dataSchema.timestamp};
+      await sqLiteManager.alterDataset(ndarrayDb, {dataSchema})
+        .should.eventually.deep.equal({added: [], changed: [], removed: ["arrayData"]});
+      for (const row of ndarrayData) {
+        fs.existsSync(path.join(ndarrayDb.dataFolder, row.arrayData.p)).should.equal(false);
+      }
+      await sqLiteManager.getDatasetDataCount(ndarrayDb).should.eventually.deep.equal({count: 3});
+      await ndarrayDb.close();
+    });
+  });
+
+  describe("createIndex", function() {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should create an index used by queries and record it in the schema", async () => {
+      await sqLiteManager.createIndex(db, [{asc: "prop2"}]).should.eventually.equal("dataindex_prop2_asc");
+      const plan = await db.allAsync("EXPLAIN QUERY PLAN SELECT * FROM data WHERE prop2 > 10", []);
+      plan[0].detail.should.include("dataindex_prop2_asc");
+
+      const keys = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+      keys[0].schema.should.deep.equal({...entry.schema, nonUniqueIndex: [[{asc: "prop2"}]]});
+    });
+
+    it("should fail for existing indexes and unknown columns", async () => {
+      await sqLiteManager.createIndex(db, [{asc: "prop2"}]);
+      await sqLiteManager.createIndex(db, [{asc: "prop2"}]).should.be.rejectedWith(/already exists/);
+      await sqLiteManager.createIndex(db, [{asc: "prop4"}]).should.be.rejectedWith(/prop4/);
+      await sqLiteManager.createIndex(db, []).should.be.rejectedWith(/non empty array/);
+    });
+
+    it("should give a different name to every index", async () => {
+      const underscoreDb = await sqLiteManager.openDatabase("", "memory", "w+");
+      const dataSchema = _.fromPairs(["a", "a_asc_b", "b"].map((column) => [column, {__tdxType: ["number"]}]));
+      await sqLiteManager.createDataset(underscoreDb, {schema: {dataSchema, uniqueIndex: []}});
+      await sqLiteManager.createIndex(underscoreDb, [{asc: "a_asc_b"}])
+        .should.eventually.equal("dataindex_a__asc__b_asc");
+      await sqLiteManager.createIndex(underscoreDb, [{asc: "a"}, {asc: "b"}])
+        .should.eventually.equal("dataindex_a_asc_b_asc");
+      await sqLiteManager.dropIndex(underscoreDb, "dataindex_a_asc_b_asc");
+      const keys = await sqliteInfoTable.getInfoKeys(underscoreDb, ["schema"]);
+      keys[0].schema.nonUniqueIndex.should.deep.equal([[{asc: "a_asc_b"}]]);
+      await underscoreDb.close();
+    });
+  });
+
+  describe("dropIndex", function() {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+
+    it("should drop an index by definition or name", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      const nonUniqueIndex = [[{asc: "prop2"}], [{asc: "prop3"}]];
+      await sqLiteManager.createDataset(db, {schema: {...entry.schema, nonUniqueIndex}});
+      await sqLiteManager.dropIndex(db, [{asc: "prop2"}]);
+      await sqLiteManager.dropIndex(db, "dataindex_prop3_asc");
+      await sqLiteManager.dropIndex(db, "dataindex_prop3_asc").should.be.rejectedWith(/doesn't exist/);
+
+      await db.allAsync("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'data'", [])
+        .should.eventually.deep.equal([{name: "dataindex"}]);
+      const keys = await sqliteInfoTable.getInfoKeys(db, ["schema"]);
+      keys[0].schema.nonUniqueIndex.should.deep.equal([]);
+      await db.close();
+    });
   });
 
   describe("addData", function() {
@@ -473,6 +681,93 @@ describe("sqlite-manager", function() {
         /Ignoring extra fields in row that were not in schema/,
       );
     });
+
+    it("should only add rows allowed by a derived writeFilter and writeProjection", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {writeFilter: {prop2: {$lt: 40}}, writeProjection: {prop1: 1, prop2: 1}},
+      });
+
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 10}, {prop1: 2, prop2: 40}])
+        .should.be.rejectedWith(/row 1 doesn't match the derived writeFilter/);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 10, prop3: 0}])
+        .should.be.rejectedWith(/row 0 writes properties outside of the derived writeProjection/);
+      // rows without the filtered property don't match the filter
+      await sqLiteManager.addData(db, {prop1: 3})
+        .should.be.rejectedWith(/writeFilter/);
+      (await sqLiteManager.getDatasetDataCount(db)).should.deep.equal({count: 0});
+
+      await sqLiteManager.addData(db, _.range(100).map((prop1) => ({prop1, prop2: 39})))
+        .should.eventually.deep.equal({count: 100});
+    });
+
+    it("should add ndarray streams and read them back as streams", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[16]);
+      const buffer = Buffer.from(new Float64Array([1, 2, 3]).buffer);
+      const stream = new Readable({read() {}});
+      stream.push(buffer);
+      stream.push(null);
+      await sqLiteManager.addData(db, {arrayData: sqliteNdarray.getNdarrayMeta(stream, "float64"), timestamp: 1});
+
+      const [row] = (await sqLiteManager.getData(db, {}, null, {ndarrayStreams: true})).data;
+      row.arrayData.shape.should.deep.equal([3]);
+      const chunks = [];
+      for await (const chunk of row.arrayData.data) {
+        chunks.push(chunk);
+      }
+      Buffer.concat(chunks).should.deep.equal(buffer);
+      await db.close();
+    });
+  });
+
+  describe("addData validation", function() {
+    const schema = {
+      dataSchema: {
+        count: {__tdxType: ["number"]},
+        lsoa: {__tdxType: ["string"]},
+        tags: [],
+      },
+      uniqueIndex: [{asc: "lsoa"}],
+    };
+    const data = [
+      {count: 398, lsoa: "E0000001"},
+      {count: "1775", lsoa: "E0000002"},
+      {count: 4533, tags: {}},
+    ];
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema});
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should reject the batch with the errors of every invalid row", async () => {
+      const error = await sqLiteManager.addData(db, data, {validate: "reject"})
+        .should.be.rejectedWith(/row 1: count should be a number; row 2: lsoa is required, tags should be an array/);
+      error.rows.should.deep.equal([
+        {errors: ["count should be a number"], index: 1},
+        {errors: ["lsoa is required", "tags should be an array"], index: 2},
+      ]);
+      await sqLiteManager.getDatasetDataCount(db).should.eventually.deep.equal({count: 0});
+    });
+
+    it("should skip the invalid rows", async () => {
+      const result = await sqLiteManager.addData(db, data, {validate: "skip"});
+      result.count.should.equal(1);
+      result.invalid.map(({index}) => index).should.deep.equal([1, 2]);
+      const {data: rows} = await sqLiteManager.getDatasetData(db, {}, {count: 1, lsoa: 1});
+      rows.should.deep.equal([data[0]]);
+    });
+
+    it("should fail for an unknown validation mode", async () => {
+      await sqLiteManager.addData(db, data, {validate: true}).should.be.rejectedWith(/"reject" or "skip"/);
+    });
   });
 
   describe("getDatasetData", function() {
@@ -841,6 +1136,486 @@ describe("sqlite-manager", function() {
       const loadedData = (await otherSqliteManager.getData(db)).data;
       chai.assert.sameDeepMembers(loadedData, testData);
     });
+
+    const readAllPages = async (db, filter, projection, options) => {
+      const pages = [];
+      let page = await sqLiteManager.getData(db, filter, projection, options);
+      pages.push(page.data);
+      while (page.nextCursor) {
+        page = await sqLiteManager.getData(
+          db, filter, projection, {...options, after: page.nextCursor});
+        pages.push(page.data);
+      }
+      return pages;
+    };
+
+    it("should page through all the data with nextCursor", async function() {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[13];
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = [];
+      for (let idx = 0; idx < 97; idx++) {
+        // duplicate prop1 values so that the rowid is needed to break ties
+        testData.push({prop1: idx % 10, prop2: idx});
+      }
+      await sqLiteManager.addData(db, testData);
+
+      const pages = await readAllPages(
+        db, {prop2: {$gte: 5}}, {prop2: 1}, {limit: 10, sort: {prop1: -1}});
+      chai.assert.lengthOf(pages, 10);
+      const data = _.flatten(pages);
+      data.should.deep.equalInAnyOrder(
+        testData.filter((row) => row.prop2 >= 5).map(({prop2}) => ({prop2})));
+      const prop1s = data.map(({prop2}) => prop2 % 10);
+      prop1s.should.deep.equal([...prop1s].sort().reverse());
+    });
+
+    it("should page with mixed sort orders on a uniqueIndex", async function() {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = [];
+      for (let idx = 0; idx < 50; idx++) {
+        testData.push({prop1: idx, prop2: idx % 3, prop3: 0});
+      }
+      await sqLiteManager.addData(db, testData);
+
+      const pages = await readAllPages(
+        db, null, null, {limit: 7, sort: {prop2: 1, prop1: -1}});
+      const expected = _.orderBy(testData, ["prop2", "prop1"], ["asc", "desc"]);
+      _.flatten(pages).should.deep.equal(expected);
+    });
+
+    it("should page through null sort values", async function() {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[13];
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = _.range(30).map((idx) => ({prop1: (idx % 3) ? idx % 4 : null, prop2: idx}));
+      await sqLiteManager.addData(db, testData);
+
+      // NULL sorts first, and ties are ordered by rowid
+      const nullsFirst = _.sortBy(testData, (row) => (row.prop1 === null ? -1 : row.prop1));
+      const ascending = await readAllPages(db, null, null, {limit: 4, sort: {prop1: 1}});
+      _.flatten(ascending).should.deep.equal(nullsFirst);
+
+      const nullsLast = _.sortBy(testData, (row) => (row.prop1 === null ? 1 : -row.prop1));
+      const descending = await readAllPages(db, null, null, {limit: 4, sort: {prop1: -1}});
+      _.flatten(descending).should.deep.equal(nullsLast);
+    });
+
+    it("should not repeat rows added while paging", async function() {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, _.range(10, 20).map(
+        (prop1) => ({prop1, prop2: 0, prop3: 0})));
+
+      const options = {limit: 5, sort: {prop1: 1}};
+      const firstPage = await sqLiteManager.getData(db, null, null, options);
+      // rows before the cursor should not shift the next page
+      await sqLiteManager.addData(db, _.range(0, 10).map(
+        (prop1) => ({prop1, prop2: 0, prop3: 0})));
+      const secondPage = await sqLiteManager.getData(
+        db, null, null, {...options, after: firstPage.nextCursor});
+      secondPage.data.map(({prop1}) => prop1).should.deep.equal(_.range(15, 20));
+    });
+
+    it("should reject an invalid cursor", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[15]);
+      return sqLiteManager.getData(db, null, null, {after: "not a cursor"})
+        .should.be.rejected;
+    });
+
+    it("should apply the read filter and projection of a derived dataset", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {filter: {prop2: {$gte: 5}}, projection: {prop3: 0}},
+      });
+      const testData = _.range(10).map((prop1) => ({prop1, prop2: prop1, prop3: prop1}));
+      await sqLiteManager.addData(db, testData);
+
+      const expected = testData.filter(({prop2}) => prop2 >= 5).map((row) => _.omit(row, "prop3"));
+      const result = await sqLiteManager.getData(db, null, null, {sort: {prop1: 1}});
+      result.data.should.deep.equal(expected);
+      const projected = await sqLiteManager.getData(db, {prop1: {$lt: 7}}, {prop2: 1, prop3: 1});
+      projected.data.should.deep.equal([{prop2: 5}, {prop2: 6}]);
+      const streamed = [];
+      for await (const row of sqLiteManager.getDataStream(db, null, null, {sort: {prop1: 1}})) {
+        streamed.push(row);
+      }
+      streamed.should.deep.equal(expected);
+      (await sqLiteManager.getDatasetDataCount(db)).should.deep.equal({count: 5});
+      (await sqLiteManager.getDistinct(db, "prop3")).should.deep.equal([]);
+      const aggregate = await sqLiteManager.getAggregateData(
+        db, [{$group: {_id: null, count: {$sum: 1}, max: {$max: "$prop2"}}}]);
+      aggregate.data.should.deep.equal([{_id: null, count: 5, max: 9}]);
+      await sqLiteManager.getAggregateData(db, [{$group: {_id: "$prop3"}}])
+        .should.be.rejectedWith(/unknown field path/);
+      await sqLiteManager.getAggregateData(db, [{$match: {prop3: 1}}])
+        .should.be.rejectedWith(/unknown \$match field prop3/);
+    });
+
+    it("should only filter, sort and page by the properties of a derived dataset", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {projection: {prop1: 0, prop3: 0}},
+      });
+      await sqLiteManager.addData(db, _.range(5).map((prop1) => ({prop1: 10 + prop1, prop2: prop1 % 2, prop3: 0})));
+
+      await sqLiteManager.getData(db, null, null, {sort: {prop3: 1}})
+        .should.be.rejectedWith(/can't sort by prop3/);
+      await sqLiteManager.getData(db, {$or: [{prop2: 0}, {prop1: 10}]})
+        .should.be.rejectedWith(/can't filter by prop1/);
+      await sqLiteManager.getDatasetDataCount(db, {prop3: 0}).should.be.rejectedWith(/can't filter by prop3/);
+      await sqLiteManager.updateDataByQuery(db, {prop1: 10}, {prop2: 1}).should.be.rejectedWith(/can't filter/);
+      await sqLiteManager.deleteDataByQuery(db, {prop1: 10}).should.be.rejectedWith(/can't filter/);
+      const stream = sqLiteManager.getDataStream(db, {prop3: 0});
+      await stream[Symbol.asyncIterator]().next().should.be.rejectedWith(/can't filter by prop3/);
+
+      // The cursor only holds the values of the view, and the rowid instead of the hidden uniqueIndex
+      const pages = [];
+      let page = {nextCursor: undefined};
+      do {
+        page = await sqLiteManager.getData(db, null, null, {after: page.nextCursor, limit: 2, sort: {prop2: 1}});
+        pages.push(page.data.map(({prop2}) => prop2));
+        if (page.nextCursor) {
+          JSON.parse(Buffer.from(page.nextCursor, "base64").toString()).should.have.length(2);
+        }
+      } while (page.nextCursor);
+      _.flatten(pages).should.deep.equal([0, 0, 0, 1, 1]);
+      JSON.parse(Buffer.from(
+        (await sqLiteManager.getData(db, null, null, {limit: 1, sort: {prop2: -1}})).nextCursor, "base64",
+      ).toString()).should.deep.equal([1, 2]);
+    });
+
+    it("should substitute the identity in derived filters", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+", {identity: "alice"});
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[12],
+        derived: {filter: {prop1: "@@_identity_@@"}, writeFilter: {prop1: "@@_identity_@@"}},
+      });
+      await sqLiteManager.addData(db, [{prop1: "alice", prop2: 1}, {prop1: "alice", prop2: 2}]);
+      await sqLiteManager.addData(db, {prop1: "bob", prop2: 3})
+        .should.be.rejectedWith(/writeFilter/);
+      await db.runAsync(`INSERT INTO ${sqliteConstants.DATABASE_DATA_TABLE_NAME} VALUES ('bob', 3)`, []);
+
+      (await sqLiteManager.getData(db)).data.should.deep.equalInAnyOrder(
+        [{prop1: "alice", prop2: 1}, {prop1: "alice", prop2: 2}]);
+      (await sqLiteManager.getDatasetDataCount(db)).should.deep.equal({count: 2});
+      (await sqLiteManager.getData(db, null, null, {identity: "bob"})).data.should.deep.equal(
+        [{prop1: "bob", prop2: 3}]);
+    });
+
+    it("should only update and delete the rows of each identity in a derived dataset", async function() {
+      const identityPath = path.join(databaseFolder, "identity-test.db");
+      const alice = await sqLiteManager.openDatabase(identityPath, "file", "w+", {identity: "alice"});
+      await sqLiteManager.createDataset(alice, {
+        derived: {filter: {owner: "@@_identity_@@"}, writeFilter: {owner: "@@_identity_@@"}},
+        schema: {
+          dataSchema: {id: {__tdxType: ["number"]}, owner: {__tdxType: ["string"]}, value: {__tdxType: ["number"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+      const bob = await sqLiteManager.openDatabase(identityPath, "file", "rw", {identity: "bob"});
+      try {
+        await sqLiteManager.addData(alice, [{id: 1, owner: "alice", value: 0}, {id: 2, owner: "alice", value: 0}]);
+        await sqLiteManager.addData(bob, [{id: 3, owner: "bob", value: 0}, {id: 4, owner: "bob", value: 0}]);
+
+        (await sqLiteManager.updateDataByQuery(alice, {}, {value: 1})).should.deep.equal({count: 2});
+        await sqLiteManager.updateDataByQuery(alice, {id: 1}, {owner: "bob"})
+          .should.be.rejectedWith(/writeFilter/);
+        (await sqLiteManager.updateData(alice, {id: 3, value: 1})).result.count.should.equal(0);
+        (await sqLiteManager.deleteData(bob, [{id: 1}, {id: 3}])).should.deep.equal({count: 1});
+        (await sqLiteManager.deleteDataByQuery(bob, {})).should.deep.equal({count: 1});
+
+        (await sqLiteManager.getData(alice, null, null, {sort: {id: 1}})).data.should.deep.equal(
+          [{id: 1, owner: "alice", value: 1}, {id: 2, owner: "alice", value: 1}]);
+        (await sqLiteManager.getData(bob)).data.should.deep.equal([]);
+      } finally {
+        await alice.close();
+        await bob.close();
+        del.sync(`${identityPath}${sqliteConstants.DATABASE_FOLDER_SUFFIX}`);
+        helper.deleteFile(identityPath);
+      }
+    });
+
+    it("should write with the identity given per call in a derived dataset", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+", {identity: "alice"});
+      await sqLiteManager.createDataset(db, {
+        derived: {filter: {owner: "@@_identity_@@"}, writeFilter: {owner: "@@_identity_@@"}},
+        schema: {
+          dataSchema: {id: {__tdxType: ["number"]}, owner: {__tdxType: ["string"]}, value: {__tdxType: ["number"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+      const asBob = {identity: "bob"};
+      await sqLiteManager.addData(db, [{id: 1, owner: "alice", value: 0}]);
+      await sqLiteManager.addData(db, [{id: 2, owner: "alice", value: 0}], asBob).should.be.rejectedWith(/writeFilter/);
+      await sqLiteManager.addData(db, [{id: 2, owner: "bob", value: 0}, {id: 3, owner: "bob", value: 0}], asBob);
+      await sqLiteManager.addData(db, [{id: 1, owner: "bob", value: 0}], {...asBob, onConflict: "replace"})
+        .should.be.rejectedWith(/outside of the derived view/);
+
+      (await sqLiteManager.updateData(db, {id: 1, value: 1}, false, true, asBob)).result.count.should.equal(0);
+      (await sqLiteManager.updateData(db, {id: 2, value: 1}, false, true, asBob)).result.count.should.equal(1);
+      (await sqLiteManager.updateDataByQuery(db, {}, {value: 2}, asBob)).should.deep.equal({count: 2});
+      await sqLiteManager.updateDataByQuery(db, {id: 2}, {owner: "alice"}, asBob)
+        .should.be.rejectedWith(/writeFilter/);
+      (await sqLiteManager.deleteData(db, [{id: 1}, {id: 2}], false, asBob)).should.deep.equal({count: 1});
+      (await sqLiteManager.deleteDataByQuery(db, {}, asBob)).should.deep.equal({count: 1});
+
+      (await sqLiteManager.getData(db, null, null, asBob)).data.should.deep.equal([]);
+      (await sqLiteManager.getData(db)).data.should.deep.equal([{id: 1, owner: "alice", value: 0}]);
+      await db.close();
+    });
+
+    it("should substitute the identity in filters", async function() {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[12]);
+      await sqLiteManager.addData(db, [{prop1: "bob/tdx", prop2: 1}, {prop1: "alice/tdx", prop2: 2}]);
+
+      await sqLiteManager.getData(db, {prop1: "@@_identity_@@/tdx"})
+        .should.be.rejectedWith(/no identity/);
+      (await sqLiteManager.getData(db, {prop1: "@@_identity_@@/tdx"}, null, {identity: "bob"}))
+        .data.should.deep.equal([{prop1: "bob/tdx", prop2: 1}]);
+    });
+
+    const openPropertyPathDatabase = async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[0]);
+      const testData = _.range(20).map((idx) => ({
+        bbox: [idx, idx * 2],
+        geometry: "",
+        properties: {area_id: `E${idx % 4}`, area_name: `name${19 - idx}`, area_type: "lsoa"},
+        type: `type${idx}`,
+      }));
+      await sqLiteManager.addData(db, testData);
+      return {db, testData};
+    };
+
+    it("should filter on property paths", async function() {
+      const {db, testData} = await openPropertyPathDatabase();
+      const result = await sqLiteManager.getData(
+        db, {"$or": [{"bbox.0": {$lt: 2}}, {"properties.area_id": {$in: ["E3"]}}], "bbox.1": {$ne: 0}});
+      result.data.should.deep.equalInAnyOrder(testData.filter(
+        ({bbox, properties}) => (bbox[0] < 2 || properties.area_id === "E3") && bbox[1] !== 0));
+      const count = await sqLiteManager.getDatasetDataCount(db, {"properties.area_id": "E1"});
+      count.should.deep.equal({count: 5});
+    });
+
+    it("should project on property paths", async function() {
+      const {db, testData} = await openPropertyPathDatabase();
+      const included = await sqLiteManager.getData(
+        db, {type: "type3"}, {"properties.area_id": 1, "type": 1});
+      included.data.should.deep.equal([{properties: {area_id: "E3"}, type: "type3"}]);
+
+      const excluded = await sqLiteManager.getData(
+        db, {type: "type3"}, {"geometry": 0, "properties.area_type": 0});
+      excluded.data.should.deep.equal([{
+        bbox: testData[3].bbox,
+        properties: _.omit(testData[3].properties, "area_type"),
+        type: "type3",
+      }]);
+    });
+
+    it("should sort and page on property paths", async function() {
+      const {db, testData} = await openPropertyPathDatabase();
+      const pages = await readAllPages(
+        db, null, {type: 1}, {limit: 6, sort: {"properties.area_id": -1, "properties.area_name": 1}});
+      const expected = _.orderBy(
+        testData, ["properties.area_id", "properties.area_name"], ["desc", "asc"]);
+      _.flatten(pages).should.deep.equal(expected.map(({type}) => ({type})));
+    });
+  });
+
+  describe("date values", function() {
+    const schema = {
+      dataSchema: {
+        id: {__tdxType: ["number"]},
+        meta: {recorded: {__tdxType: ["date"]}},
+        timestamp: {__tdxType: ["date"]},
+      },
+      uniqueIndex: [{asc: "id"}],
+    };
+    const epoch = Date.UTC(2020, 0, 1);
+    const data = [
+      {id: 1, meta: {recorded: new Date(epoch)}, timestamp: new Date(epoch)},
+      {id: 2, timestamp: "2020-01-02T00:00:00.000Z"},
+      {id: 3, timestamp: epoch + 2 * 86400000},
+      {id: 4, timestamp: null},
+    ];
+
+    it("should store dates as epoch milliseconds and read them as Date objects", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema});
+      await sqLiteManager.addData(db, data);
+
+      await db.allAsync("SELECT timestamp FROM data ORDER BY id", [])
+        .should.eventually.deep.equal([
+          {timestamp: epoch}, {timestamp: epoch + 86400000}, {timestamp: epoch + 2 * 86400000}, {timestamp: null},
+        ]);
+      const {data: rows} = await sqLiteManager.getDatasetData(db, {}, {id: 1, timestamp: 1}, {sort: {id: 1}});
+      rows.should.deep.equal([
+        {id: 1, timestamp: new Date(epoch)},
+        {id: 2, timestamp: new Date(epoch + 86400000)},
+        {id: 3, timestamp: new Date(epoch + 2 * 86400000)},
+        {id: 4, timestamp: null},
+      ]);
+      await sqLiteManager.getDistinct(db, "meta.recorded", {id: 1})
+        .should.eventually.deep.equal([new Date(epoch)]);
+      await sqLiteManager.addData(db, [{id: 5, timestamp: "tomorrow"}]).should.be.rejectedWith(/not a valid date/);
+      await db.close();
+    });
+
+    it("should convert the dates in filters", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema});
+      await sqLiteManager.addData(db, data);
+
+      const ids = async(filter) => {
+        const result = await sqLiteManager.getDatasetData(db, filter, {id: 1}, {sort: {id: 1}});
+        return result.data.map(({id}) => id);
+      };
+      await ids({timestamp: {$gt: new Date(epoch)}}).should.eventually.deep.equal([2, 3]);
+      await ids({timestamp: {$in: ["2020-01-02T00:00:00Z", epoch]}}).should.eventually.deep.equal([1, 2]);
+      await ids({"meta.recorded": new Date(epoch)}).should.eventually.deep.equal([1]);
+      await sqLiteManager.getDatasetDataCount(db, {timestamp: {$lte: "2020-01-02"}})
+        .should.eventually.deep.equal({count: 2});
+      const aggregate = await sqLiteManager.getAggregateData(db, [
+        {$match: {timestamp: {$lt: new Date(epoch + 2 * 86400000)}}},
+        {$group: {_id: null, last: {$max: "$timestamp"}}},
+      ]);
+      aggregate.data.should.deep.equal([{_id: null, last: new Date(epoch + 86400000)}]);
+      await db.close();
+    });
+
+    it("should read the dates in the configured format", async () => {
+      for (const [dateFormat, expected] of [["iso", "2020-01-01T00:00:00.000Z"], ["epoch", epoch]]) {
+        const db = await sqLiteManager.openDatabase("", "memory", "w+", {dateFormat});
+        await sqLiteManager.createDataset(db, {schema});
+        await sqLiteManager.addData(db, data[0]);
+        await sqLiteManager.getDatasetData(db, {}, {timestamp: 1, "meta.recorded": 1})
+          .should.eventually.have.property("data").that.deep.equals([{meta: {recorded: expected}, timestamp: expected}]);
+        await db.close();
+      }
+      await sqLiteManager.openDatabase("", "memory", "w+", {dateFormat: "unix"})
+        .should.be.rejectedWith(/dateFormat/);
+    });
+  });
+
+  describe("boolean values", function() {
+    const schema = {
+      dataSchema: {
+        active: {__tdxType: ["boolean"]},
+        id: {__tdxType: ["number"]},
+        meta: {verified: {__tdxType: ["boolean"]}},
+      },
+      uniqueIndex: [{asc: "id"}],
+    };
+    const data = [
+      {active: true, id: 1, meta: {verified: true}},
+      {active: false, id: 2, meta: {verified: false}},
+      {active: null, id: 3},
+    ];
+
+    it("should read booleans as true or false", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema: _.omit(schema, "dataSchema.meta")});
+      await sqLiteManager.addData(db, data.map((row) => _.omit(row, "meta")));
+      await db.allAsync("SELECT active FROM data ORDER BY id", [])
+        .should.eventually.deep.equal([{active: 1}, {active: 0}, {active: null}]);
+
+      const {data: rows} = await sqLiteManager.getDatasetData(db, {}, null, {sort: {id: 1}});
+      rows.should.deep.equal([{active: true, id: 1}, {active: false, id: 2}, {active: null, id: 3}]);
+      (await sqLiteManager.getDistinct(db, "active", {active: {$ne: null}}))
+        .should.deep.equalInAnyOrder([false, true]);
+      await db.close();
+    });
+
+    it("should normalise booleans in filters", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema});
+      await sqLiteManager.addData(db, data);
+
+      const ids = async(filter) => {
+        const result = await sqLiteManager.getDatasetData(db, filter, {id: 1}, {sort: {id: 1}});
+        return result.data.map(({id}) => id);
+      };
+      await ids({active: true}).should.eventually.deep.equal([1]);
+      await ids({active: {$in: [false, null]}}).should.eventually.deep.equal([2, 3]);
+      await ids({"meta.verified": false}).should.eventually.deep.equal([2]);
+      await sqLiteManager.getDatasetData(db, {id: 1}, {"meta.verified": 1})
+        .should.eventually.have.property("data").that.deep.equals([{meta: {verified: true}}]);
+      const aggregate = await sqLiteManager.getAggregateData(db, [
+        {$match: {active: false}},
+        {$project: {_id: "$id", active: 1}},
+      ]);
+      aggregate.data.should.deep.equal([{_id: 2, active: false}]);
+      await db.close();
+    });
+  });
+
+  describe("getDataStream", function() {
+    const readAll = async (readable) => {
+      const rows = [];
+      for await (const row of readable) {
+        rows.push(row);
+      }
+      return rows;
+    };
+
+    it("should stream more rows than the query limit", async () => {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[13];
+      const dataSize = sqliteConstants.SQLITE_QUERY_LIMIT + 234;
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = [];
+      for (let idx = 0; idx < dataSize; idx++) {
+        testData.push({prop1: idx, prop2: dataSize - idx - 1});
+      }
+      await sqLiteManager.addData(db, testData);
+
+      const rows = await readAll(sqLiteManager.getDataStream(db));
+      rows.should.deep.equalInAnyOrder(testData);
+    });
+
+    it("should respect the filter, projection, sort, skip and limit", async () => {
+      const entry = tdxSchemaList.TDX_SCHEMA_LIST[13];
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = [];
+      for (let idx = 0; idx < 100; idx++) {
+        testData.push({prop1: idx, prop2: 100 - idx - 1});
+      }
+      await sqLiteManager.addData(db, testData);
+
+      const rows = await readAll(sqLiteManager.getDataStream(
+        db, {prop1: {$lt: 50}}, {prop2: 1}, {limit: 10, skip: 5, sort: {prop2: 1}}));
+      rows.should.deep.equal(_.range(55, 65).map((prop2) => ({prop2})));
+    });
+
+    it("should convert object, array and ndarray columns", async () => {
+      for (const entry of [tdxSchemaList.TDX_SCHEMA_LIST[0], tdxSchemaList.TDX_SCHEMA_LIST[16]]) {
+        const db = await sqLiteManager.openDatabase("", "memory", "w+");
+        await sqLiteManager.createDataset(db, entry);
+        const testData = generateRandomData(
+          await sqLiteManager.getGeneralSchema(db), 10);
+        await sqLiteManager.addData(db, testData);
+
+        const rows = await readAll(sqLiteManager.getDataStream(db));
+        const expected = (await sqLiteManager.getData(db)).data;
+        rows.should.deep.equalInAnyOrder(expected);
+      }
+    });
+
+    it("should emit an error for an invalid filter", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[13]);
+      return readAll(sqLiteManager.getDataStream(db, {missingColumn: 1}))
+        .should.be.rejected;
+    });
   });
 
   describe("truncateResource", function() {
@@ -955,6 +1730,14 @@ describe("sqlite-manager", function() {
         const resource = sqLiteManager.getResource(dbIter);
         return chai.assert.isRejected(resource);
       });
+
+    it("should resolve null with noThrow if there is no info table", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.getResource(db).should.be.rejected;
+      chai.expect(await sqLiteManager.getResource(db, true)).to.equal(null);
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[14]);
+      (await sqLiteManager.getResource(db, true)).should.have.property("name", tdxSchemaList.TDX_SCHEMA_LIST[14].name);
+    });
   });
 
   describe("updateData", () => {
@@ -1074,6 +1857,18 @@ describe("sqlite-manager", function() {
           return chai.expect(response.data).to.be.empty;
         });
     });
+    it("should count the rows inserted or updated", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[15]);
+      const testData = [0, 1, 2].map((idx) => ({prop1: idx, prop2: 0, prop3: 0}));
+      await sqLiteManager.addData(db, testData.slice(0, 2));
+      const rows = [{prop1: 1, prop2: 5}, {prop1: 2, prop2: 5}];
+
+      const updated = await sqLiteManager.updateData(db, rows);
+      updated.result.count.should.equal(1);
+      const upserted = await sqLiteManager.updateData(db, rows, true);
+      upserted.result.count.should.equal(2);
+    });
     it("Inserting data with the same unique index should update existing " +
       "data",
       () => {
@@ -1147,6 +1942,393 @@ describe("sqlite-manager", function() {
           return sqLiteManager.getData(dbIter);
         }).should.eventually.deep.contain({data: testData});
     });
+
+    it("should only update rows allowed by a derived writeFilter and writeProjection", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {writeFilter: {prop2: {$lt: 40}}, writeProjection: {prop1: 1, prop2: 1}},
+      });
+      await sqLiteManager.addData(db, {prop1: 1, prop2: 10});
+
+      const result = await sqLiteManager.updateData(db, {prop1: 1, prop2: 40}, false, false);
+      result.result.errors.should.have.lengthOf(1);
+      await sqLiteManager.updateData(db, {prop1: 1, prop3: 40})
+        .should.be.rejectedWith(/writeProjection/);
+      await sqLiteManager.updateData(db, {prop1: 1, prop2: 20});
+      (await sqLiteManager.getData(db)).data.should.deep.equal([{prop1: 1, prop2: 20, prop3: null}]);
+      await sqLiteManager.updateDataByQuery(db, {}, {$set: {prop3: 1}})
+        .should.be.rejectedWith(/writeProjection/);
+    });
+
+    it("should only update and delete the rows in the view of a derived dataset", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {filter: {prop2: {$lt: 40}}, writeFilter: {prop2: {$lt: 40}}},
+      });
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 10, prop3: 0}, {prop1: 2, prop2: 20, prop3: 0}]);
+      // A row outside of the view, e.g. written to the source dataset
+      const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+      await db.runAsync(`INSERT INTO ${tableName} VALUES (3, 50, 0)`, []);
+      const outsideRow = {prop1: 3, prop2: 50, prop3: 0};
+      const getRow = (prop1) => db.getAsync(`SELECT * FROM ${tableName} WHERE prop1 = ?`, [prop1]);
+
+      const updated = await sqLiteManager.updateData(db, {prop1: 3, prop2: 10, prop3: 1});
+      updated.result.count.should.equal(0);
+      updated.result.commit.should.deep.equal([{index: 0, key: {prop1: 3}, status: "unchanged"}]);
+      (await sqLiteManager.updateData(db, {prop1: 3, prop2: 10, prop3: 1}, true)).result.count.should.equal(0);
+      (await getRow(3)).should.deep.equal(outsideRow);
+
+      // Partial updates are matched with the properties of the existing row
+      (await sqLiteManager.updateData(db, {prop1: 1, prop3: 5})).result.count.should.equal(1);
+      (await sqLiteManager.updateDataByQuery(db, {}, {prop3: 7})).should.deep.equal({count: 2});
+      await sqLiteManager.updateDataByQuery(db, {prop1: 1}, {$inc: {prop2: 30}})
+        .should.be.rejectedWith(/writeFilter/);
+      (await getRow(1)).should.deep.equal({prop1: 1, prop2: 10, prop3: 7});
+
+      (await sqLiteManager.deleteData(db, [{prop1: 2}, {prop1: 3}])).should.deep.equal({count: 1});
+      (await sqLiteManager.deleteDataByQuery(db, {})).should.deep.equal({count: 1});
+      (await db.allAsync(`SELECT * FROM ${tableName}`, [])).should.deep.equal([outsideRow]);
+    });
+
+    it("should only replace the rows in the view of a derived dataset", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        ...tdxSchemaList.TDX_SCHEMA_LIST[15],
+        derived: {filter: {prop2: {$lt: 40}}, writeFilter: {prop2: {$lt: 40}}},
+      });
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 10, prop3: 0}]);
+      const tableName = sqliteConstants.DATABASE_DATA_TABLE_NAME;
+      await db.runAsync(`INSERT INTO ${tableName} VALUES (3, 50, 0)`, []);
+
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 20, prop3: 1}, {prop1: 3, prop2: 30, prop3: 1}], {
+        onConflict: "replace",
+      }).should.be.rejectedWith(/row 1 replaces a row outside of the derived view/);
+      const rows = [{prop1: 1, prop2: 10, prop3: 0}, {prop1: 3, prop2: 50, prop3: 0}];
+      (await db.allAsync(`SELECT * FROM ${tableName} ORDER BY prop1`, [])).should.deep.equal(rows);
+
+      (await sqLiteManager.addData(db, [{prop1: 1, prop2: 20, prop3: 1}, {prop1: 2, prop2: 30, prop3: 1}], {
+        onConflict: "replace",
+      })).should.deep.equal({count: 2, skipped: 0});
+      (await db.allAsync(`SELECT * FROM ${tableName} ORDER BY prop1`, [])).should.deep.equal([
+        {prop1: 1, prop2: 20, prop3: 1}, {prop1: 2, prop2: 30, prop3: 1}, {prop1: 3, prop2: 50, prop3: 0},
+      ]);
+      await db.close();
+    });
+  });
+
+  describe("updateData validation", () => {
+    const schema = {
+      dataSchema: {
+        count: {__tdxType: ["number"]},
+        lsoa: {__tdxType: ["string"]},
+        tags: [],
+      },
+      uniqueIndex: [{asc: "lsoa"}],
+    };
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {schema});
+      await sqLiteManager.addData(db, [{count: 1, lsoa: "E0000001"}, {count: 2, lsoa: "E0000002"}]);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should only require the uniqueIndex of partial updates", async () => {
+      const update = [{count: 10, lsoa: "E0000001"}, {count: "20", lsoa: "E0000002"}, {count: 30}];
+      const result = await sqLiteManager.updateData(db, update, false, false, {validate: "skip"});
+      result.response.should.equal("Success");
+      result.result.errors.should.have.length(1);
+      result.result.errors[0].rows.should.deep.equal([
+        {errors: ["count should be a number"], index: 1},
+        {errors: ["lsoa is required"], index: 2},
+      ]);
+      result.result.commit.map(({index, key, status}) => ({index, key, status})).should.deep.equal([
+        {index: 0, key: {lsoa: "E0000001"}, status: "updated"},
+        {index: 1, key: {lsoa: "E0000002"}, status: undefined},
+        {index: 2, key: {}, status: undefined},
+      ]);
+      result.result.commit[1].error.message.should.match(/row 1: count should be a number/);
+      const {data} = await sqLiteManager.getDatasetData(db, {}, {count: 1, lsoa: 1}, {sort: {lsoa: 1}});
+      data.should.deep.equal([{count: 10, lsoa: "E0000001"}, {count: 2, lsoa: "E0000002"}]);
+    });
+
+    it("should reject the batch, or report the error when not throwing", async () => {
+      const update = [{count: 10, lsoa: "E0000001"}, {lsoa: "E0000002", tags: "x"}];
+      await sqLiteManager.updateData(db, update, true, true, {validate: "reject"})
+        .should.be.rejectedWith(/row 1: tags should be an array/);
+      const result = await sqLiteManager.updateData(db, update, true, false, {validate: "reject"});
+      chai.expect(result.response).to.equal(null);
+      result.result.errors[0].message.should.match(/row 1: tags should be an array/);
+      await sqLiteManager.getDatasetData(db, {lsoa: "E0000001"}, {count: 1})
+        .should.eventually.have.property("data").that.deep.equals([{count: 1}]);
+    });
+  });
+
+  describe("updateData commit results", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 1, prop3: 1}, {prop1: 2, prop2: 2, prop3: 2}]);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should report if each row was inserted, updated or unchanged", async () => {
+      const update = [{prop1: 1, prop2: 1}, {prop1: 2, prop2: 5}, {prop1: 3, prop2: 3}, {prop1: 3, prop2: 4}];
+      const upserted = await sqLiteManager.updateData(db, update, true);
+      upserted.result.commit.should.deep.equal([
+        {index: 0, key: {prop1: 1}, status: "unchanged"},
+        {index: 1, key: {prop1: 2}, status: "updated"},
+        {index: 2, key: {prop1: 3}, status: "inserted"},
+        {index: 3, key: {prop1: 3}, status: "updated"},
+      ]);
+      upserted.result.count.should.equal(4);
+
+      const updated = await sqLiteManager.updateData(db, [{prop1: 4, prop2: 4}, {prop1: 1, prop3: 6}]);
+      updated.result.commit.should.deep.equal([
+        {index: 0, key: {prop1: 4}, status: "unchanged"},
+        {index: 1, key: {prop1: 1}, status: "updated"},
+      ]);
+    });
+
+    it("should report the error of the row that failed", async () => {
+      const update = [{prop1: 1, prop2: 10}, {prop2: 20}, {prop1: 2, prop2: 30}];
+      await sqLiteManager.updateData(db, update).should.be.rejectedWith(/unique index column prop1/);
+
+      const result = await sqLiteManager.updateData(db, update, false, false);
+      chai.expect(result.response).to.equal(null);
+      result.result.errors.should.have.length(1);
+      result.result.errors[0].index.should.equal(1);
+      result.result.commit.map(({index, key, status}) => ({index, key, status})).should.deep.equal([
+        {index: 0, key: {prop1: 1}, status: "unchanged"},
+        {index: 1, key: {}, status: undefined},
+        {index: 2, key: {prop1: 2}, status: "unchanged"},
+      ]);
+      result.result.commit[1].error.message.should.match(/unique index column prop1/);
+      // The whole batch was rolled back
+      const {data} = await sqLiteManager.getDatasetData(db, {}, {prop1: 1, prop2: 1}, {sort: {prop1: 1}});
+      data.should.deep.equal([{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}]);
+    });
+  });
+
+  describe("continueOnError", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    const getRows = async () => {
+      return (await sqLiteManager.getDatasetData(db, {}, {prop1: 1, prop2: 1}, {sort: {prop1: 1}})).data;
+    };
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 1, prop3: 1}]);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should roll back the whole batch by default", async () => {
+      const data = [{prop1: 2, prop2: 2}, {prop1: 1, prop2: 2}, {prop1: 3, prop2: 3}];
+      const error = await sqLiteManager.addData(db, data).should.be.rejectedWith(/UNIQUE constraint failed/);
+      error.index.should.equal(1);
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 1}]);
+    });
+
+    it("should add the rows that don't fail", async () => {
+      const data = [{prop1: 2, prop2: 2}, {prop1: 1, prop2: 2}, {prop1: 3, prop2: 3}];
+      const result = await sqLiteManager.addData(db, data, {continueOnError: true});
+      result.count.should.equal(2);
+      result.failed.should.have.length(1);
+      result.failed[0].index.should.equal(1);
+      result.failed[0].error.message.should.match(/UNIQUE constraint failed/);
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}, {prop1: 3, prop2: 3}]);
+    });
+
+    it("should report the index in the data of rows after skipped invalid rows", async () => {
+      const data = [{prop1: "2"}, {prop1: 1}, {prop1: 3}];
+      const result = await sqLiteManager.addData(db, data, {continueOnError: true, validate: "skip"});
+      result.count.should.equal(1);
+      result.invalid.map(({index}) => index).should.deep.equal([0]);
+      result.failed.map(({index}) => index).should.deep.equal([1]);
+    });
+
+    it("should update the rows that don't fail", async () => {
+      await sqLiteManager.addData(db, [{prop1: 2, prop2: 2}]);
+      const update = [{prop1: 1, prop2: 10}, {prop2: 20}, {prop1: 2, prop2: 30}];
+      const result = await sqLiteManager.updateData(db, update, false, true, {continueOnError: true});
+      result.response.should.equal("Success");
+      result.result.count.should.equal(2);
+      result.result.errors.should.have.length(1);
+      result.result.errors[0].message.should.match(/unique index column prop1/);
+      result.result.commit.map(({status}) => status).should.deep.equal(["updated", undefined, "updated"]);
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 10}, {prop1: 2, prop2: 30}]);
+    });
+
+    it("should delete the rows that don't fail", async () => {
+      await sqLiteManager.addData(db, [{prop1: 2, prop2: 2}]);
+      const result = await sqLiteManager.deleteData(db, [{prop1: 1}, {prop2: 2}, {prop1: 5}], false, {
+        continueOnError: true,
+      });
+      result.count.should.equal(1);
+      result.failed.map(({index}) => index).should.deep.equal([1]);
+      (await getRows()).should.deep.equal([{prop1: 2, prop2: 2}]);
+    });
+  });
+
+  describe("onConflict", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    const getRows = async () => {
+      return (await sqLiteManager.getDatasetData(db, {}, {prop1: 1, prop2: 1}, {sort: {prop1: 1}})).data;
+    };
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 1}]);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should skip the duplicate rows", async () => {
+      const data = [{prop1: 1, prop2: 10}, {prop1: 2, prop2: 2}, {prop1: 2, prop2: 20}];
+      const result = await sqLiteManager.addData(db, data, {onConflict: "ignore"});
+      result.should.deep.equal({count: 1, skipped: 2});
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}]);
+    });
+
+    it("should replace the duplicate rows", async () => {
+      const data = [{prop1: 1, prop2: 10}, {prop1: 2, prop2: 2}];
+      const result = await sqLiteManager.addData(db, data, {onConflict: "replace"});
+      result.should.deep.equal({count: 2, skipped: 0});
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 10}, {prop1: 2, prop2: 2}]);
+    });
+
+    it("should fail on the duplicate rows", async () => {
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 10}], {onConflict: "error"})
+        .should.be.rejectedWith(/UNIQUE constraint failed/);
+      await sqLiteManager.addData(db, [], {onConflict: "update"}).should.be.rejectedWith(/onConflict/);
+    });
+
+    it("should delete the ndarray files of the skipped rows", async () => {
+      const ndarrayDb = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(ndarrayDb, {
+        schema: {
+          dataSchema: {arrayData: {__tdxType: ["ndarray"]}, id: {__tdxType: ["number"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+      const makeRow = (id) => ({arrayData: sqliteNdarray.getNdarrayMeta(Buffer.alloc(8), "float64", [1]), id});
+      const [kept, skipped] = [makeRow(1), makeRow(1)];
+      (await sqLiteManager.addData(ndarrayDb, [kept, skipped], {onConflict: "ignore"})).skipped.should.equal(1);
+      fs.existsSync(path.join(ndarrayDb.dataFolder, kept.arrayData.p)).should.equal(true);
+      fs.existsSync(path.join(ndarrayDb.dataFolder, skipped.arrayData.p)).should.equal(false);
+      await ndarrayDb.close();
+    });
+  });
+
+  describe("batchSize", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    const getRows = async () => {
+      return (await sqLiteManager.getDatasetData(db, {}, {prop1: 1, prop2: 1}, {sort: {prop1: 1}})).data;
+    };
+    const makeRows = (count) => _.range(count).map((index) => ({prop1: index, prop2: index}));
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should add the rows in batches and report the progress", async () => {
+      const progress = [];
+      const result = await sqLiteManager.addData(db, makeRows(5), {
+        batchSize: 2,
+        onProgress: (report) => progress.push(report),
+      });
+      result.count.should.equal(5);
+      progress.should.deep.equal([{count: 2, rows: 2}, {count: 4, rows: 4}, {count: 5, rows: 5}]);
+      (await getRows()).should.deep.equal(makeRows(5));
+    });
+
+    it("should add the rows of an object mode stream", async () => {
+      const stream = new Readable({objectMode: true, read() {}});
+      makeRows(7).forEach((row) => stream.push(row));
+      stream.push(null);
+      const result = await sqLiteManager.addData(db, stream, {batchSize: 3});
+      result.count.should.equal(7);
+      (await getRows()).should.deep.equal(makeRows(7));
+    });
+
+    it("should keep the batches before a failed batch", async () => {
+      const data = makeRows(4).concat([{prop1: 1, prop2: 1}]);
+      const error = await sqLiteManager.addData(db, data, {batchSize: 2}).should.be.rejectedWith(/UNIQUE/);
+      error.index.should.equal(0);
+      (await getRows()).should.deep.equal(makeRows(4));
+    });
+
+    it("should report the indexes in the whole data", async () => {
+      const data = makeRows(3).concat([{prop1: "3"}, {prop1: 1}]);
+      const result = await sqLiteManager.addData(db, data, {batchSize: 2, continueOnError: true, validate: "skip"});
+      result.count.should.equal(3);
+      result.invalid.map(({index}) => index).should.deep.equal([3]);
+      result.failed.map(({index}) => index).should.deep.equal([4]);
+    });
+
+    it("should update the rows of an async iterable in batches", async () => {
+      await sqLiteManager.addData(db, makeRows(5));
+      async function* readRows() {
+        for (const row of makeRows(5)) {
+          yield {prop1: row.prop1, prop2: row.prop2 * 10};
+        }
+      }
+      const progress = [];
+      const result = await sqLiteManager.updateData(db, readRows(), false, true, {
+        batchSize: 2,
+        onProgress: ({rows}) => progress.push(rows),
+      });
+      result.response.should.equal("Success");
+      result.result.count.should.equal(5);
+      result.result.commit.map(({index}) => index).should.deep.equal([0, 1, 2, 3, 4]);
+      progress.should.deep.equal([2, 4, 5]);
+      (await getRows()).map(({prop2}) => prop2).should.deep.equal([0, 10, 20, 30, 40]);
+    });
+
+    it("should report the committed batches when an update fails", async () => {
+      await sqLiteManager.addData(db, makeRows(3));
+      const update = [{prop1: 0, prop2: 10}, {prop1: 1, prop2: 11}, {prop2: 12}, {prop1: 2, prop2: 13}];
+      const result = await sqLiteManager.updateData(db, update, false, false, {batchSize: 2});
+      chai.expect(result.response).to.equal(null);
+      result.result.count.should.equal(2);
+      result.result.commit.map(({index}) => index).should.deep.equal([0, 1, 2, 3]);
+      result.result.errors.should.have.length(1);
+      (await getRows()).map(({prop2}) => prop2).should.deep.equal([10, 11, 2]);
+    });
+
+    it("should reject an invalid batchSize", async () => {
+      await sqLiteManager.addData(db, makeRows(1), {batchSize: 0}).should.be.rejectedWith(/batchSize/);
+    });
   });
 
   describe("deleteData", () => {
@@ -1167,7 +2349,7 @@ describe("sqlite-manager", function() {
       const db = await sqLiteManager.openDatabase("", "memory", "w+");
       await sqLiteManager.createDataset(db, schema);
       await sqLiteManager.addData(db, testData);
-      await sqLiteManager.deleteData(db, testData[0]);
+      (await sqLiteManager.deleteData(db, testData[0])).should.deep.equal({count: 1});
       const expectedData = testData.slice(1);
       return (await sqLiteManager.getData(db)).data.should.deep.equalInAnyOrder(
         expectedData);
@@ -1186,6 +2368,35 @@ describe("sqlite-manager", function() {
       return (await sqLiteManager.getData(db)).data.should.deep.equalInAnyOrder(
         dataToKeep);
     });
+    it("should only count the rows that were deleted", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, schema);
+      await sqLiteManager.addData(db, testData);
+      await sqLiteManager.deleteData(db, testData[0]);
+      (await sqLiteManager.deleteData(db, testData.slice(0, 3))).should.deep.equal({count: 2});
+    });
+    it("should return a CommandResult with doNotThrow", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, schema);
+      await sqLiteManager.addData(db, testData);
+      await sqLiteManager.deleteData(db, testData[0]);
+
+      const result = await sqLiteManager.deleteData(db, testData.slice(0, 2), true);
+      result.response.should.equal("Success");
+      result.result.count.should.equal(1);
+      result.result.errors.should.deep.equal([]);
+      result.result.commit.map(({index, status}) => ({index, status})).should.deep.equal([
+        {index: 0, status: "unchanged"},
+        {index: 1, status: "deleted"},
+      ]);
+
+      const failed = await sqLiteManager.deleteData(db, [testData[2], {"TEST": 1}], true);
+      chai.expect(failed.response).to.equal(null);
+      failed.result.count.should.equal(0);
+      failed.result.errors.should.have.length(1);
+      failed.result.commit[1].error.should.equal(failed.result.errors[0]);
+      (await sqLiteManager.getData(db)).data.should.deep.equalInAnyOrder(testData.slice(2));
+    });
     it("should error if deleting row without all primary keys defined",
       async () => {
         const db = await sqLiteManager.openDatabase("", "memory", "w+");
@@ -1223,6 +2434,377 @@ describe("sqlite-manager", function() {
     });
   });
 
+  describe("deleteDataByQuery", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[13];
+    const dataSize = 100;
+
+    const makeTestData = () => {
+      const testData = [];
+      for (let idx = 0; idx < dataSize; idx++) {
+        testData.push({prop1: idx, prop2: dataSize - idx - 1});
+      }
+      return testData;
+    };
+
+    it("should delete only the rows matching the filter", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      const testData = makeTestData();
+      await sqLiteManager.addData(db, testData);
+      const result = await sqLiteManager.deleteDataByQuery(
+        db, {prop1: {$lt: 10}});
+      result.should.deep.equal({count: 10});
+      const expectedData = testData.filter((row) => row.prop1 >= 10);
+      (await sqLiteManager.getData(db)).data.should.deep.equalInAnyOrder(
+        expectedData);
+    });
+
+    it("should delete all rows for an empty filter", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, makeTestData());
+      const result = await sqLiteManager.deleteDataByQuery(db, {});
+      result.should.deep.equal({count: dataSize});
+      await sqLiteManager.getDatasetDataCount(db).should.eventually.deep.equal(
+        {count: 0});
+    });
+
+    it("should delete the ndarray files of the deleted rows", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[16]);
+      const testData = generateRandomData(
+        await sqLiteManager.getGeneralSchema(db), 10);
+      await sqLiteManager.addData(db, testData);
+      const filePath = (row) => path.join(db.dataFolder, row.arrayData.p);
+
+      const result = await sqLiteManager.deleteDataByQuery(
+        db, {timestamp: {$lt: 5}});
+      result.should.deep.equal({count: 5});
+      for (const row of testData) {
+        fs.existsSync(filePath(row)).should.equal(row.timestamp >= 5);
+      }
+    });
+  });
+
+  describe("withTransaction", () => {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[15];
+    let db;
+
+    const getRows = async () => {
+      return (await sqLiteManager.getDatasetData(db, {}, {prop1: 1, prop2: 1}, {sort: {prop1: 1}})).data;
+    };
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}]);
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should commit the calls made with the transaction handle", async () => {
+      const result = await sqLiteManager.withTransaction(db, async (tx) => {
+        await sqLiteManager.deleteData(tx, {prop1: 1});
+        await sqLiteManager.addData(tx, [{prop1: 3, prop2: 3}]);
+        await sqLiteManager.updateDataByQuery(tx, {prop1: 2}, {$inc: {prop2: 10}});
+        return (await sqLiteManager.getDatasetDataCount(tx)).count;
+      });
+      result.should.equal(2);
+      (await getRows()).should.deep.equal([{prop1: 2, prop2: 12}, {prop1: 3, prop2: 3}]);
+    });
+
+    it("should roll back every call if the callback rejects", async () => {
+      await sqLiteManager.withTransaction(db, async (tx) => {
+        await sqLiteManager.deleteData(tx, {prop1: 1});
+        await sqLiteManager.truncateResource(tx);
+        await sqLiteManager.addData(tx, [{prop1: 2, prop2: 3}]);
+        throw Error("test error");
+      }).should.be.rejectedWith("test error");
+      (await getRows()).should.deep.equal([{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}]);
+      // The database is still usable
+      await sqLiteManager.addData(db, [{prop1: 3, prop2: 3}]).should.eventually.deep.equal({count: 1});
+    });
+
+    it("should nest transactions with savepoints", async () => {
+      await sqLiteManager.withTransaction(db, async (tx) => {
+        await sqLiteManager.addData(tx, [{prop1: 3, prop2: 3}]);
+        await sqLiteManager.withTransaction(tx, async (nestedTx) => {
+          await sqLiteManager.addData(nestedTx, [{prop1: 4, prop2: 4}]);
+          throw Error("nested error");
+        }).should.be.rejectedWith("nested error");
+        await sqLiteManager.withTransaction(tx, async (nestedTx) => {
+          await sqLiteManager.deleteData(nestedTx, {prop1: 1});
+        });
+      });
+      (await getRows()).should.deep.equal([{prop1: 2, prop2: 2}, {prop1: 3, prop2: 3}]);
+    });
+
+    it("should queue the calls made with the db object", async () => {
+      let resolveStarted;
+      const started = new Promise((resolve) => {
+        resolveStarted = resolve;
+      });
+      const transaction = sqLiteManager.withTransaction(db, async (tx) => {
+        resolveStarted();
+        await sqLiteManager.addData(tx, [{prop1: 3, prop2: 3}]);
+        throw Error("test error");
+      });
+      await started;
+      const added = sqLiteManager.addData(db, [{prop1: 4, prop2: 4}]);
+      await transaction.should.be.rejectedWith("test error");
+      await added.should.eventually.deep.equal({count: 1});
+      (await getRows()).map(({prop1}) => prop1).should.deep.equal([1, 2, 4]);
+    });
+
+    it("should only delete ndarray files once they aren't referenced", async () => {
+      const ndarrayDb = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(ndarrayDb, tdxSchemaList.TDX_SCHEMA_LIST[16]);
+      const [kept, added] = _.chunk(generateRandomData(await sqLiteManager.getGeneralSchema(ndarrayDb), 4), 2);
+      await sqLiteManager.addData(ndarrayDb, kept);
+      const fileExists = (row) => fs.existsSync(path.join(ndarrayDb.dataFolder, row.arrayData.p));
+      const tempExists = (row) => {
+        return fs.existsSync(path.join(ndarrayDb.dataFolder, row.arrayData.p + sqliteConstants.DATABASE_DATA_TMP_SUFFIX));
+      };
+
+      await sqLiteManager.withTransaction(ndarrayDb, async (tx) => {
+        await sqLiteManager.deleteDataByQuery(tx, {});
+        await sqLiteManager.addData(tx, added);
+        kept.every(fileExists).should.equal(true);
+        // The added files keep their temporary names until the transaction commits
+        added.every(tempExists).should.equal(true);
+        (await sqLiteManager.getData(tx)).data.should.have.length(2);
+        throw Error("test error");
+      }).should.be.rejectedWith("test error");
+      kept.every(fileExists).should.equal(true);
+      added.some(fileExists).should.equal(false);
+      added.some(tempExists).should.equal(false);
+
+      await sqLiteManager.withTransaction(ndarrayDb, async (tx) => {
+        await sqLiteManager.deleteDataByQuery(tx, {});
+      });
+      kept.some(fileExists).should.equal(false);
+      await ndarrayDb.close();
+    });
+  });
+
+  describe("ndarray files", () => {
+    let db;
+
+    const makeRow = (id, value) => {
+      return {arrayData: sqliteNdarray.getNdarrayMeta(Buffer.from([value]), "uint8", [1]), id};
+    };
+    const fileExists = (row) => fs.existsSync(path.join(db.dataFolder, row.arrayData.p));
+    const getValues = async () => {
+      const {data} = await sqLiteManager.getData(db, {}, null, {sort: {id: 1}});
+      return data.map((row) => row.arrayData.data[0]);
+    };
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, {
+        schema: {
+          dataSchema: {arrayData: {__tdxType: ["ndarray"]}, id: {__tdxType: ["number"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+    });
+
+    afterEach("Close the dataset", async () => {
+      await db.close();
+    });
+
+    it("should delete the files of the deleted rows", async () => {
+      const rows = [makeRow(1, 1), makeRow(2, 2)];
+      await sqLiteManager.addData(db, rows);
+      (await sqLiteManager.deleteData(db, [{id: 1}, {id: 3}])).count.should.equal(1);
+      fileExists(rows[0]).should.equal(false);
+      fileExists(rows[1]).should.equal(true);
+    });
+
+    it("should replace the files of the updated rows", async () => {
+      const old = [makeRow(1, 1), makeRow(2, 2)];
+      await sqLiteManager.addData(db, old);
+      const updated = [makeRow(1, 10), makeRow(3, 30), makeRow(1, 11)];
+      await sqLiteManager.updateData(db, updated);
+      (await getValues()).should.deep.equal([11, 2]);
+      old.map(fileExists).should.deep.equal([false, true]);
+      // The row 3 doesn't exist, and the first update of row 1 is replaced
+      updated.map(fileExists).should.deep.equal([false, false, true]);
+
+      const upserted = [makeRow(2, 20), makeRow(3, 30)];
+      await sqLiteManager.updateData(db, upserted, true);
+      (await getValues()).should.deep.equal([11, 20, 30]);
+      fileExists(old[1]).should.equal(false);
+      upserted.every(fileExists).should.equal(true);
+    });
+
+    it("should replace the files of the rows changed by concurrent writes", async () => {
+      const old = makeRow(1, 1);
+      await sqLiteManager.addData(db, old);
+      const updated = [makeRow(1, 10), makeRow(1, 11)];
+      const replaced = makeRow(1, 12);
+      await Promise.all([
+        sqLiteManager.updateData(db, updated[0]),
+        sqLiteManager.updateData(db, updated[1]),
+        sqLiteManager.addData(db, replaced, {onConflict: "replace"}),
+      ]);
+      (await getValues()).should.deep.equal([12]);
+      [old, ...updated].some(fileExists).should.equal(false);
+      fileExists(replaced).should.equal(true);
+
+      const last = makeRow(1, 13);
+      await Promise.all([sqLiteManager.deleteData(db, {id: 1}), sqLiteManager.updateData(db, last)]);
+      (await getValues()).should.deep.equal([]);
+      [replaced, last].some(fileExists).should.equal(false);
+    });
+
+    it("should keep the files of rows that reference them", async () => {
+      const old = makeRow(1, 1);
+      await sqLiteManager.addData(db, old);
+      await sqLiteManager.updateData(db, {arrayData: _.omit(old.arrayData, "data"), id: 1});
+      fileExists(old).should.equal(true);
+      (await getValues()).should.deep.equal([1]);
+    });
+
+    it("should delete the new files of a failed update", async () => {
+      const old = makeRow(1, 1);
+      await sqLiteManager.addData(db, old);
+      const updated = [makeRow(1, 10), {arrayData: makeRow(2, 20).arrayData}];
+      await sqLiteManager.updateData(db, updated).should.be.rejectedWith(/unique index column id/);
+      fileExists(old).should.equal(true);
+      updated.some(fileExists).should.equal(false);
+    });
+
+    it("should rename the temporary files once the rows are committed", async () => {
+      const tempExists = (row) => {
+        return fs.existsSync(path.join(db.dataFolder, row.arrayData.p + sqliteConstants.DATABASE_DATA_TMP_SUFFIX));
+      };
+      const rows = [makeRow(1, 1), makeRow(1, 2)];
+      await sqLiteManager.addData(db, rows, {onConflict: "ignore"});
+      rows.map(fileExists).should.deep.equal([true, false]);
+      rows.some(tempExists).should.equal(false);
+
+      const duplicate = makeRow(1, 3);
+      await sqLiteManager.addData(db, duplicate).should.be.rejectedWith(/UNIQUE/);
+      fileExists(duplicate).should.equal(false);
+      tempExists(duplicate).should.equal(false);
+    });
+
+    it("should delete the temporary files of rows that fail to convert", async () => {
+      const dateDb = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(dateDb, {
+        schema: {
+          dataSchema: {arrayData: {__tdxType: ["ndarray"]}, id: {__tdxType: ["number"]}, ts: {__tdxType: ["date"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+      const row = {...makeRow(1, 1), ts: "garbage"};
+      await sqLiteManager.addData(dateDb, row).should.be.rejectedWith(/not a valid date/);
+      const filePath = path.join(dateDb.dataFolder, row.arrayData.p);
+      fs.existsSync(filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX).should.equal(false);
+      fs.existsSync(filePath).should.equal(false);
+      await dateDb.close();
+    });
+
+    it("should delete the files of the rows replaced by addData", async () => {
+      const old = makeRow(1, 1);
+      await sqLiteManager.addData(db, old);
+      const replacement = makeRow(1, 10);
+      await sqLiteManager.addData(db, replacement, {onConflict: "replace"});
+      fileExists(old).should.equal(false);
+      fileExists(replacement).should.equal(true);
+      (await getValues()).should.deep.equal([10]);
+    });
+
+    it("should only delete the replaced files once the transaction commits", async () => {
+      const old = makeRow(1, 1);
+      await sqLiteManager.addData(db, old);
+      const updated = makeRow(1, 10);
+      await sqLiteManager.withTransaction(db, async (tx) => {
+        await sqLiteManager.updateData(tx, updated);
+        fileExists(old).should.equal(true);
+        throw Error("test error");
+      }).should.be.rejectedWith("test error");
+      fileExists(old).should.equal(true);
+      fileExists(updated).should.equal(false);
+      (await getValues()).should.deep.equal([1]);
+    });
+  });
+
+  describe("checkNdarrayStore", () => {
+    const storePath = path.join(databaseFolder, "ndarray-store-test.db");
+    let db;
+
+    beforeEach("Create the dataset", async () => {
+      db = await sqLiteManager.openDatabase(storePath, "file", "w+");
+      await sqLiteManager.createDataset(db, {
+        schema: {
+          dataSchema: {arrayData: {__tdxType: ["ndarray"]}, id: {__tdxType: ["number"]}},
+          uniqueIndex: [{asc: "id"}],
+        },
+      });
+    });
+
+    afterEach("Delete the dataset", async () => {
+      await db.close();
+      del.sync(`${storePath}${sqliteConstants.DATABASE_FOLDER_SUFFIX}`);
+      helper.deleteFile(storePath);
+    });
+
+    it("should report and repair the inconsistent files", async () => {
+      const rows = [1, 2, 3].map((id) => {
+        return {arrayData: sqliteNdarray.getNdarrayMeta(Buffer.from([id]), "uint8", [1]), id};
+      });
+      await sqLiteManager.addData(db, rows);
+      const filePath = (row) => path.join(db.dataFolder, row.arrayData.p);
+      fs.writeFileSync(path.join(db.dataFolder, "orphan.dat"), Buffer.from([0]));
+      fs.unlinkSync(filePath(rows[1]));
+      fs.appendFileSync(filePath(rows[2]), Buffer.from([0]));
+
+      const report = {
+        mismatched: [{column: "arrayData", expectedSize: 1, p: rows[2].arrayData.p, rowid: 3, size: 2}],
+        missing: [{column: "arrayData", p: rows[1].arrayData.p, rowid: 2}],
+        orphans: ["orphan.dat"],
+        uncommitted: [],
+      };
+      (await sqLiteManager.checkNdarrayStore(db)).should.deep.equal(report);
+      (await sqLiteManager.checkNdarrayStore(db, {repair: true})).should.deep.equal(report);
+
+      fs.existsSync(path.join(db.dataFolder, "orphan.dat")).should.equal(false);
+      (await sqLiteManager.checkNdarrayStore(db)).should.deep.equal(
+        Object.assign(report, {missing: [], orphans: []}));
+      const {data} = await sqLiteManager.getData(db, {id: 2});
+      data.should.deep.equal([{id: 2}]);
+    });
+
+    it("should finish renaming the files of committed rows", async () => {
+      const row = {arrayData: sqliteNdarray.getNdarrayMeta(Buffer.from([1]), "uint8", [1]), id: 1};
+      await sqLiteManager.addData(db, [row]);
+      const filePath = path.join(db.dataFolder, row.arrayData.p);
+      const tempPath = filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX;
+      fs.renameSync(filePath, tempPath);
+      fs.writeFileSync(path.join(db.dataFolder, "orphan.dat.tmp"), Buffer.from([0]));
+
+      // Reading falls back to the temporary file
+      const {data} = await sqLiteManager.getData(db, {id: 1});
+      data[0].arrayData.data[0].should.equal(1);
+
+      const report = {
+        mismatched: [],
+        missing: [],
+        orphans: ["orphan.dat.tmp"],
+        uncommitted: [{column: "arrayData", p: row.arrayData.p, rowid: 1}],
+      };
+      (await sqLiteManager.checkNdarrayStore(db, {repair: true})).should.deep.equal(report);
+      fs.existsSync(filePath).should.equal(true);
+      fs.existsSync(tempPath).should.equal(false);
+      (await sqLiteManager.checkNdarrayStore(db)).should.deep.equal(
+        Object.assign(report, {orphans: [], uncommitted: []}));
+    });
+  });
+
   describe("updateDataByQuery", function() {
     it("should return zero count for an empty update object", function() {
       let dbIter;
@@ -1239,6 +2821,16 @@ describe("sqlite-manager", function() {
         .should.eventually.deep.equal({count: 0});
     });
 
+    it("should return the number of rows updated", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[13]);
+      await sqLiteManager.addData(db, [{prop1: 1, prop2: 1}, {prop1: 2, prop2: 2}, {prop1: 3, prop2: 2}]);
+
+      (await sqLiteManager.updateDataByQuery(db, {prop2: 2}, {prop2: 3})).should.deep.equal({count: 2});
+      (await sqLiteManager.updateDataByQuery(db, {prop2: 2}, {prop2: 3})).should.deep.equal({count: 0});
+      (await sqLiteManager.getDatasetDataCount(db, {prop2: 3})).should.deep.equal({count: 2});
+    });
+
     it("should update all entries for an empty query", function() {
       let dbIter;
       const testData = [];
@@ -1437,6 +3029,87 @@ describe("sqlite-manager", function() {
         })
         .should.eventually.deep.equal({count: 1});
     });
+
+    describe("update operators", function() {
+      const schema = {
+        dataSchema: {
+          count: {__tdxType: ["number"]},
+          id: {__tdxType: ["string"]},
+          meta: {},
+          tags: [],
+          updated: {__tdxType: ["date"]},
+        },
+        uniqueIndex: [{asc: "id"}],
+      };
+      let db;
+
+      beforeEach("Create the dataset", async () => {
+        db = await sqLiteManager.openDatabase("", "memory", "w+");
+        await sqLiteManager.createDataset(db, {schema});
+        await sqLiteManager.addData(db, [
+          {count: 1, id: "a", meta: {level: 1}, tags: ["x"]},
+          {count: 5, id: "b"},
+        ]);
+      });
+
+      afterEach("Close the dataset", async () => {
+        await db.close();
+      });
+
+      const getRows = async() => (await sqLiteManager.getDatasetData(db, {}, null, {sort: {id: 1}})).data;
+
+      it("should convert the values of plain updates and $set", async () => {
+        await sqLiteManager.updateDataByQuery(db, {id: "a"}, {meta: {level: 2}, tags: ["y"]})
+          .should.eventually.deep.equal({count: 1});
+        await sqLiteManager.updateDataByQuery(db, {id: "b"}, {$set: {"meta.level": 3, "updated": "2020-01-01"}});
+        await getRows().should.eventually.deep.equal([
+          {count: 1, id: "a", meta: {level: 2}, tags: ["y"], updated: null},
+          {count: 5, id: "b", meta: {level: 3}, tags: null, updated: new Date(Date.UTC(2020, 0, 1))},
+        ]);
+      });
+
+      it("should apply the numeric operators", async () => {
+        await sqLiteManager.updateDataByQuery(db, {}, {$inc: {"count": 2, "meta.level": 1}})
+          .should.eventually.deep.equal({count: 2});
+        await sqLiteManager.updateDataByQuery(db, {id: "a"}, {$mul: {count: 10}});
+        await sqLiteManager.updateDataByQuery(db, {}, {$min: {count: 10}});
+        const rows = await getRows();
+        rows.map(({count, meta}) => ({count, meta})).should.deep.equal([
+          {count: 10, meta: {level: 2}},
+          {count: 7, meta: {level: 1}},
+        ]);
+        await sqLiteManager.updateDataByQuery(db, {}, {$max: {count: 8}});
+        (await getRows()).map(({count}) => count).should.deep.equal([10, 8]);
+      });
+
+      it("should $unset, $push and $currentDate", async () => {
+        const before = Date.now();
+        await sqLiteManager.updateDataByQuery(db, {}, {
+          $currentDate: {updated: true},
+          $push: {"tags": {$each: ["y", "z"]}},
+          $unset: {"count": "", "meta.level": ""},
+        });
+        const rows = await getRows();
+        rows.map(({count, meta, tags}) => ({count, meta, tags})).should.deep.equal([
+          {count: null, meta: {}, tags: ["x", "y", "z"]},
+          {count: null, meta: null, tags: ["y", "z"]},
+        ]);
+        for (const {updated} of rows) {
+          updated.getTime().should.be.within(before, Date.now());
+        }
+      });
+
+      it("should fail for invalid updates", async () => {
+        await sqLiteManager.updateDataByQuery(db, {}, {$rename: {count: "total"}})
+          .should.be.rejectedWith(/unsupported update operator \$rename/);
+        await sqLiteManager.updateDataByQuery(db, {}, {$inc: {count: "1"}}).should.be.rejectedWith(/requires a number/);
+        await sqLiteManager.updateDataByQuery(db, {}, {$push: {count: 1}}).should.be.rejectedWith(/ARRAY column/);
+        await sqLiteManager.updateDataByQuery(db, {}, {$set: {count: 1}, id: "c"}).should.be.rejectedWith(/mix/);
+        await sqLiteManager.updateDataByQuery(db, {}, {$set: {meta: {}}, $inc: {"meta.level": 1}})
+          .should.be.rejectedWith(/conflicting updates of meta/);
+        await sqLiteManager.updateDataByQuery(db, {}, {missing: 1}).should.be.rejectedWith(/unknown field missing/);
+      });
+    });
   });
 
   describe("getDistinct", function() {
@@ -1584,6 +3257,140 @@ describe("sqlite-manager", function() {
         })
         .should.eventually.deep.equal(true);
     });
+
+    it("should return list of distinct values of a property path", async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, tdxSchemaList.TDX_SCHEMA_LIST[0]);
+      await sqLiteManager.addData(db, _.range(10).map((idx) => ({
+        bbox: [idx],
+        geometry: "",
+        properties: {area_id: `E${idx % 3}`, area_name: "", area_type: "lsoa"},
+        type: `type${idx}`,
+      })));
+      const data = await sqLiteManager.getDistinct(db, "properties.area_id", {"bbox.0": {$gt: 0}});
+      data.should.deep.equalInAnyOrder(["E0", "E1", "E2"]);
+      const filtered = await sqLiteManager.getDistinct(db, "properties.area_id", {"bbox.0": {$lt: 2}});
+      filtered.should.deep.equalInAnyOrder(["E0", "E1"]);
+    });
+  });
+
+  describe("getAggregateData", function() {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[12];
+    const testData = [];
+    for (let idx = 0; idx < 30; idx++) {
+      testData.push({prop1: `group${idx % 3}`, prop2: idx});
+    }
+
+    const openTestDatabase = async () => {
+      const db = await sqLiteManager.openDatabase("", "memory", "w+");
+      await sqLiteManager.createDataset(db, entry);
+      await sqLiteManager.addData(db, testData);
+      return db;
+    };
+
+    it("should group with accumulators", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, [
+        {$group: {
+          _id: "$prop1",
+          avg: {$avg: "$prop2"},
+          count: {$count: {}},
+          max: {$max: "$prop2"},
+          min: {$min: "$prop2"},
+          sum: {$sum: "$prop2"},
+        }},
+        {$sort: {_id: 1}},
+      ]);
+      result.data.should.deep.equal([0, 1, 2].map((group) => {
+        const values = _.range(group, 30, 3);
+        return {
+          _id: `group${group}`,
+          avg: _.mean(values),
+          count: 10,
+          max: _.max(values),
+          min: _.min(values),
+          sum: _.sum(values),
+        };
+      }));
+    });
+
+    it("should return the $first and $last documents after a $sort", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, [
+        {$sort: {prop2: -1}},
+        {$group: {_id: null, first: {$first: "$prop2"}, last: {$last: "$prop1"}}},
+      ]);
+      result.data.should.deep.equal([{_id: null, first: 29, last: "group0"}]);
+    });
+
+    it("should return the $first and $last documents of each group in the $sort order", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, [
+        {$sort: {prop2: -1}},
+        {$match: {prop2: {$gte: 3}}},
+        {$project: {prop1: 1, prop2: 1}},
+        {$group: {_id: "$prop1", first: {$first: "$prop2"}, last: {$last: "$prop2"}}},
+        {$sort: {_id: 1}},
+      ]);
+      result.data.should.deep.equal([
+        {_id: "group0", first: 27, last: 3},
+        {_id: "group1", first: 28, last: 4},
+        {_id: "group2", first: 29, last: 5},
+      ]);
+    });
+
+    it("should $match, $skip, $limit and $project", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, JSON.stringify([
+        {$match: {prop1: "group1"}},
+        {$sort: {prop2: 1}},
+        {$skip: 2},
+        {$limit: 3},
+        {$project: {value: "$prop2"}},
+      ]));
+      result.data.should.deep.equal([{value: 7}, {value: 10}, {value: 13}]);
+    });
+
+    it("should $match on the grouped documents with a compound _id", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, [
+        {$match: {prop2: {$lt: 6}}},
+        {$group: {_id: {name: "$prop1", value: "$prop2"}, count: {$sum: 1}}},
+        {$match: {count: {$gte: 1}}},
+        {$sort: {_id: 1}},
+        {$limit: 2},
+        {$project: {_id: 1}},
+      ]);
+      result.data.should.deep.equal([
+        {_id: {name: "group0", value: 0}},
+        {_id: {name: "group0", value: 3}},
+      ]);
+    });
+
+    it("should return no groups for no documents", async () => {
+      const db = await openTestDatabase();
+      const result = await sqLiteManager.getAggregateData(db, [
+        {$match: {prop2: {$gt: 100}}},
+        {$group: {_id: null, count: {$sum: 1}}},
+      ]);
+      result.data.should.deep.equal([]);
+    });
+
+    it("should reject unknown $match fields", async () => {
+      const db = await openTestDatabase();
+      await sqLiteManager.getAggregateData(db, [{$match: {$or: [{prop2: 1}, {"prop1.name": "group0"}]}}])
+        .should.be.rejectedWith(/unknown \$match field prop1.name/);
+      await sqLiteManager.getAggregateData(db, [{$group: {_id: "$prop1"}}, {$match: {prop2: 1}}])
+        .should.be.rejectedWith(/unknown \$match field prop2/);
+      const result = await sqLiteManager.getAggregateData(db, [{$group: {_id: "$prop1"}}, {$match: {_id: "group1"}}]);
+      result.data.should.deep.equal([{_id: "group1"}]);
+    });
+
+    it("should reject unsupported stages", async () => {
+      const db = await openTestDatabase();
+      return sqLiteManager.getAggregateData(db, [{$unwind: "$prop1"}])
+        .should.be.rejected;
+    });
   });
 
   /**
@@ -1624,6 +3431,12 @@ describe("sqlite-manager", function() {
           case sqliteConstants.SQLITE_TYPE_TEXT:
             dataElement[key] = shortid.generate() + dataIdx.toString();
             break;
+          case sqliteConstants.SQLITE_GENERAL_TYPE_DATE:
+            dataElement[key] = new Date(dataIdx * 1000);
+            break;
+          case sqliteConstants.SQLITE_GENERAL_TYPE_BOOLEAN:
+            dataElement[key] = dataIdx % 2 === 0;
+            break;
           default:
         }
       });
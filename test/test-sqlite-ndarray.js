@@ -4,10 +4,12 @@
 const _ = require("lodash");
 const fs = require("fs");
 const path = require("path");
+const {Readable} = require("stream");
 const chai = require("chai");
 const chaiAsPromised = require("chai-as-promised");
 const deepEqualInAnyOrder = require("deep-equal-in-any-order");
 const del = require("del");
+const sqliteConstants = require("../lib/sqlite-constants.js");
 const sqliteNdarray = require("../lib/sqlite-ndarray.js");
 
 
@@ -499,4 +501,157 @@ describe("sqlite-ndarray", function() {
       })
       .should.eventually.equal(true);
   });
+
+  describe("streams", function() {
+    const db = {"dataFolder": databaseFolder};
+    const makeStream = (buffer) => {
+      const stream = new Readable({read() {}});
+      // Push the buffer in two chunks
+      stream.push(buffer.slice(0, 5));
+      stream.push(buffer.slice(5));
+      stream.push(null);
+      return stream;
+    };
+    const readStream = async(stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+    const buffer = Buffer.from(new Float64Array([1, 2, 3, 4, 5, 6]).buffer);
+
+    it("should write a stream to file and read it back", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(makeStream(buffer), "float64", [2, 3]);
+      const [written] = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      written.data.s.should.deep.equal([2, 3]);
+      fs.statSync(path.join(databaseFolder, meta.p)).size.should.equal(buffer.length);
+      const [read] = await sqliteNdarray.readNdarrayMany(db, [written], "data");
+      read.data.data.should.deep.equal(buffer);
+    });
+
+    it("should set the shape of a stream of unknown shape", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(makeStream(buffer), "float64");
+      const [written] = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      written.data.s.should.deep.equal([6]);
+    });
+
+    it("should reject a stream of the wrong size", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(makeStream(buffer), "float64", [2, 2]);
+      await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data")
+        .should.be.rejectedWith(/Metadata size different to file size/);
+      fs.existsSync(path.join(databaseFolder, meta.p)).should.equal(false);
+    });
+
+    it("should read the ndarray data as streams", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(buffer, "float64", [6]);
+      const written = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      const [read] = await sqliteNdarray.readNdarrayMany(db, written, "data", false);
+      read.data.data.should.be.an.instanceof(fs.ReadStream);
+      read.data.dtype.should.equal("float64");
+      (await readStream(read.data.data)).should.deep.equal(buffer);
+    });
+  });
+
+  describe("temporary files", function() {
+    const db = {"dataFolder": databaseFolder};
+    const buffer = Buffer.from([1, 2, 3]);
+
+    it("should rename the files and sync their folder", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(buffer, "uint8", [3]);
+      const written = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data", {temporary: true});
+      const filePath = path.join(databaseFolder, meta.p);
+      fs.existsSync(filePath + sqliteConstants.DATABASE_DATA_TMP_SUFFIX).should.equal(true);
+
+      const {fsyncSync, openSync} = fs;
+      const openedPaths = new Map();
+      const syncedPaths = [];
+      fs.openSync = (...args) => {
+        const fd = openSync(...args);
+        openedPaths.set(fd, args[0]);
+        return fd;
+      };
+      fs.fsyncSync = (fd) => {
+        syncedPaths.push(openedPaths.get(fd));
+        return fsyncSync(fd);
+      };
+      try {
+        (await sqliteNdarray.commitNdarrayMany(db, written, "data")).should.equal(1);
+      } finally {
+        fs.fsyncSync = fsyncSync;
+        fs.openSync = openSync;
+      }
+      fs.existsSync(filePath).should.equal(true);
+      syncedPaths.should.deep.equal([databaseFolder]);
+
+      // Already renamed files aren't renamed again
+      (await sqliteNdarray.commitNdarrayMany(db, written, "data")).should.equal(0);
+    });
+
+    it("should delete the files written before a failed ndarray", async function() {
+      for (const temporary of [true, false]) {
+        // The stream is 5 bytes long instead of 8
+        const stream = new Readable({read() {}});
+        stream.push(Buffer.alloc(5));
+        stream.push(null);
+        const row = {
+          "a": sqliteNdarray.getNdarrayMeta(Buffer.alloc(8), "float64", [1]),
+          "b": sqliteNdarray.getNdarrayMeta(stream, "float64", [1]),
+        };
+        await sqliteNdarray.writeNdarrayMany(db, [row], ["a", "b"], {temporary})
+          .should.be.rejectedWith(/Metadata size different/);
+        fs.readdirSync(databaseFolder).should.deep.equal([]);
+      }
+    });
+  });
+
+  describe("file types", function() {
+    const db = {"dataFolder": databaseFolder};
+    const buffer = Buffer.from(new Float64Array([0, 0, 0, 0, 1, 0, 0, 0]).buffer);
+    const readStream = async(stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    it("should store a base64 ndarray inline", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(buffer, "float64", [2, 4], true, "b64");
+      meta.should.not.have.property("p");
+      const [written] = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      written.data.should.include({"d": buffer.toString("base64"), "v": "b"});
+      fs.readdirSync(databaseFolder).should.deep.equal([]);
+
+      const [read] = await sqliteNdarray.readNdarrayMany(db, [JSON.parse(JSON.stringify(written))], "data");
+      read.data.should.include({"dtype": "float64", "ftype": "b64"});
+      read.data.data.should.deep.equal(buffer);
+    });
+
+    it("should deflate a zip ndarray file", async function() {
+      const meta = sqliteNdarray.getNdarrayMeta(buffer, "float64", [2, 4], true, "zip");
+      const [written] = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      written.data.v.should.equal("z");
+      fs.statSync(path.join(databaseFolder, meta.p)).size.should.be.below(buffer.length);
+
+      const [read] = await sqliteNdarray.readNdarrayMany(db, [written], "data");
+      read.data.ftype.should.equal("zip");
+      read.data.data.should.deep.equal(buffer);
+      const [streamed] = await sqliteNdarray.readNdarrayMany(db, [written], "data", false);
+      (await readStream(streamed.data.data)).should.deep.equal(buffer);
+
+      (await sqliteNdarray.deleteNdarrayMany(db, [written], "data")).should.equal(1);
+    });
+
+    it("should deflate a zip ndarray stream", async function() {
+      const stream = new Readable({read() {}});
+      stream.push(buffer);
+      stream.push(null);
+      const meta = sqliteNdarray.getNdarrayMeta(stream, "float64", undefined, true, "zip");
+      const [written] = await sqliteNdarray.writeNdarrayMany(db, [{"data": meta}], "data");
+      written.data.s.should.deep.equal([8]);
+      const [read] = await sqliteNdarray.readNdarrayMany(db, [written], "data");
+      read.data.data.should.deep.equal(buffer);
+    });
+  });
 });
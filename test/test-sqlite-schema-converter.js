@@ -2,6 +2,7 @@
 "use strict";
 
 const _ = require("lodash");
+const chai = require("chai");
 const sqliteConverter = require("../lib/sqlite-schema-converter.js");
 const tdxSchemaList = require("./tdx-schema-list.js");
 
@@ -20,4 +21,90 @@ describe("sqlite-schema-converter", function() {
       });
     });
   });
+
+  describe("date conversion", function() {
+    const epoch = Date.UTC(2020, 0, 1);
+    const dateType = "DATE";
+
+    it("should convert Date objects, ISO strings and epochs to epochs", function() {
+      sqliteConverter.convertToSqlite(dateType, new Date(epoch)).should.equal(epoch);
+      sqliteConverter.convertToSqlite(dateType, "2020-01-01T00:00:00Z").should.equal(epoch);
+      sqliteConverter.convertToSqlite(dateType, epoch).should.equal(epoch);
+      chai.expect(sqliteConverter.convertToSqlite(dateType, null)).to.equal(null);
+      chai.expect(() => sqliteConverter.convertToSqlite(dateType, "never")).to.throw(/not a valid date/);
+    });
+
+    it("should convert stored dates to the date format", function() {
+      sqliteConverter.convertToTdx(dateType, epoch).should.deep.equal(new Date(epoch));
+      sqliteConverter.convertToTdx(dateType, epoch, {dateFormat: "iso"}).should.equal("2020-01-01T00:00:00.000Z");
+      sqliteConverter.convertToTdx(dateType, "2020-01-01T00:00:00.000Z", {dateFormat: "epoch"}).should.equal(epoch);
+      chai.expect(sqliteConverter.convertToTdx(dateType, null)).to.equal(null);
+    });
+
+    it("should convert the dates in filters", function() {
+      const schema = {meta: "OBJECT", timestamp: dateType};
+      sqliteConverter.convertFilterToSqlite(schema, {
+        $or: [{timestamp: {$gt: "2020-01-01T00:00:00Z", $exists: true}}, {timestamp: {$in: [new Date(epoch)]}}],
+        "meta.recorded": new Date(epoch),
+      }).should.deep.equal({
+        $or: [{timestamp: {$gt: epoch, $exists: true}}, {timestamp: {$in: [epoch]}}],
+        "meta.recorded": "2020-01-01T00:00:00.000Z",
+      });
+    });
+
+    it("should only convert the operands of equality and comparison operators", function() {
+      const schema = {active: "BOOLEAN", timestamp: dateType};
+      sqliteConverter.convertFilterToSqlite(schema, {
+        active: {$ne: true, $exists: true},
+        timestamp: {$not: {$lt: new Date(epoch)}, $nin: [epoch], $regex: "^2020", $options: "i"},
+      }).should.deep.equal({
+        active: {$ne: 1, $exists: true},
+        timestamp: {$not: {$lt: epoch}, $nin: [epoch], $regex: "^2020", $options: "i"},
+      });
+    });
+  });
+
+  describe("boolean conversion", function() {
+    it("should convert booleans to 0 or 1 and back", function() {
+      sqliteConverter.convertToSqlite("BOOLEAN", true).should.equal(1);
+      sqliteConverter.convertToSqlite("BOOLEAN", false).should.equal(0);
+      sqliteConverter.convertToTdx("BOOLEAN", 1).should.equal(true);
+      sqliteConverter.convertToTdx("BOOLEAN", 0).should.equal(false);
+      chai.expect(sqliteConverter.convertToTdx("BOOLEAN", null)).to.equal(null);
+      sqliteConverter.convertFilterToSqlite({active: "BOOLEAN"}, {active: {$in: [true, false], $exists: true}})
+        .should.deep.equal({active: {$in: [1, 0], $exists: true}});
+    });
+  });
+
+  describe("splitPropertyPath", function() {
+    const entry = tdxSchemaList.TDX_SCHEMA_LIST[0];
+
+    it("should return null for columns and paths in non object columns", function() {
+      chai.expect(sqliteConverter.splitPropertyPath(entry.generalSchema, "properties")).to.equal(null);
+      chai.expect(sqliteConverter.splitPropertyPath(entry.generalSchema, "type.length")).to.equal(null);
+      chai.expect(sqliteConverter.splitPropertyPath(entry.generalSchema, "missing.key")).to.equal(null);
+    });
+
+    it("should return the column and JSON path", function() {
+      sqliteConverter.splitPropertyPath(entry.generalSchema, "properties.area_id")
+        .should.deep.equal({column: "properties", jsonPath: "$.\"area_id\""});
+      sqliteConverter.splitPropertyPath(entry.generalSchema, "bbox.1.x")
+        .should.deep.equal({column: "bbox", jsonPath: "$[1].\"x\""});
+    });
+
+    it("should reject keys with double quotes", function() {
+      chai.expect(() => sqliteConverter.splitPropertyPath(entry.generalSchema, "properties.a\"b"))
+        .to.throw(/double quotes/);
+    });
+  });
+
+  describe("getPropertyPathType", function() {
+    it("should return the general type of a property path", function() {
+      const dataSchema = tdxSchemaList.TDX_SCHEMA_LIST[0].schema.dataSchema;
+      sqliteConverter.getPropertyPathType(dataSchema, "properties.area_id").should.equal("TEXT");
+      sqliteConverter.getPropertyPathType({a: [{b: {__tdxType: ["number"]}}]}, "a.0.b").should.equal("NUMERIC");
+      sqliteConverter.getPropertyPathType({a: {b: {}}}, "a.b").should.equal("OBJECT");
+      sqliteConverter.getPropertyPathType({a: {b: {}}}, "a.c.d").should.equal("TEXT");
+    });
+  });
 });
@@ -0,0 +1,69 @@
+/* eslint-env mocha */
+"use strict";
+
+const chai = require("chai");
+const sqliteValidator = require("../lib/sqlite-validator.js");
+
+chai.should();
+
+describe("sqlite-validator", function() {
+  describe("validateData", function() {
+    const dataSchema = {
+      address: {
+        postcode: {__tdxType: ["string"], __tdxRequired: true},
+        street: {__tdxType: ["string"]},
+      },
+      count: {__tdxType: ["number", "INT"]},
+      id: {__tdxType: ["string"], __tdxRequired: true},
+      recorded: {__tdxType: ["date"]},
+      tags: [{__tdxType: ["string"]}],
+      valid: {__tdxType: ["boolean"]},
+    };
+
+    it("should return an empty report for valid rows", function() {
+      sqliteValidator.validateData(dataSchema, [
+        {id: "a"},
+        {address: {postcode: "SO17"}, count: 3, id: "b", recorded: new Date(), tags: ["x"], valid: true},
+        {count: null, id: "c", recorded: "2020-01-01T00:00:00Z", extra: {}},
+      ]).should.deep.equal([]);
+    });
+
+    it("should report the invalid properties of each row", function() {
+      sqliteValidator.validateData(dataSchema, [
+        {id: "a"},
+        {address: {street: 1}, count: 1.5, recorded: "never", tags: {}, valid: 0},
+        {id: 2, tags: ["x", 3]},
+        "row",
+      ]).should.deep.equal([
+        {
+          errors: [
+            "address.postcode is required",
+            "address.street should be a string",
+            "count should be an integer",
+            "id is required",
+            "recorded should be a date",
+            "tags should be an array",
+            "valid should be a boolean",
+          ],
+          index: 1,
+        },
+        {errors: ["id should be a string", "tags.1 should be a string"], index: 2},
+        {errors: ["row should be an object"], index: 3},
+      ]);
+    });
+
+    it("should only require the given properties of partial rows", function() {
+      sqliteValidator.validateData(dataSchema, [{count: 1}, {id: "a", valid: true}], {partial: true, required: ["id"]})
+        .should.deep.equal([{errors: ["id is required"], index: 0}]);
+    });
+  });
+
+  describe("makeValidationError", function() {
+    it("should list the row errors", function() {
+      const report = [{errors: ["id is required", "count should be a number"], index: 2}];
+      const error = sqliteValidator.makeValidationError(report);
+      error.message.should.equal("[sqlite-validator]: invalid rows. row 2: id is required, count should be a number.");
+      error.rows.should.equal(report);
+    });
+  });
+});